@@ -5,7 +5,7 @@
  */
 
 import React from 'react';
-import { useLogDriver, useLogger, useLoggerSender } from './react-log-driver';
+import { LogOnClick, LogOnView, useLogDriver, useLogger, useLoggerSender } from './react-log-driver';
 
 /**
  * Example Component
@@ -31,7 +31,7 @@ const ExampleComponents = () => {
         // Send Function
         async (logs) => {
             console.log('Sending logs to server:', logs);
-            // Production: await fetch('/api/logs', { method: 'POST', body: JSON.stringify(logs) });
+            // Production: pass createHttpTransport({ url: '/api/logs' }) as the send function instead
         }, 
         // Configuration
         {
@@ -71,6 +71,13 @@ const ExampleComponents = () => {
         <div>
             <h1>React Log Driver Example</h1>
             <button onClick={handleSomeClick}>Click to Log Event</button>
+            {/* Declarative logging: no handler needed */}
+            <LogOnClick logKey="anotherEvent" code="cta_click" data={{ cta: 'signup' }}>
+                <button>Sign up</button>
+            </LogOnClick>
+            <LogOnView logKey="anotherEvent" code="banner_impression" threshold={0.5} minVisibleMs={1000} once="session">
+                <p>This banner logs an impression once it has been half visible for a second.</p>
+            </LogOnView>
             <p>Check the console to see the logs being sent.</p>
             <p>Driving keys: {logDriver.keys.join(', ')}</p>
             <div>
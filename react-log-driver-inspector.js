@@ -0,0 +1,198 @@
+/**
+ * react-log-driver inspector
+ * ===============
+ * A floating devtools panel for the log river: every log key with its queues, jam/drive state, sends & errors,
+ * and buttons to send, clear, jam & drive each key.
+ *
+ * It lives in its own module, so it's left out of production builds unless you import it. For example:
+ *    import { LogRiverInspector } from '@realdem/react-log-driver/react-log-driver-inspector'
+ *    <LogRiver>
+ *      <App />
+ *      {process.env.NODE_ENV !== 'production' && <LogRiverInspector />}
+ *    </LogRiver>
+ */
+
+/**Import & Initialize dependencies (3) */
+//
+import { useEffect, useState } from 'react'
+import { useAtomValue, useSetAtom, useStore } from 'jotai'
+import { logRiverInternals } from './react-log-driver'
+//
+const {
+    packageName,
+    eventLogsAtom,
+    eventLogsPausedAtom,
+    eventLogMinLevelsAtom,
+    eventLogPendingSendAtomFamily,
+    generateEventLogAtomKey,
+    eventLogSendingAtomFamily,
+    eventLogRetryAtomFamily,
+    eventLogDeadLetterAtomFamily,
+    eventLogSendersAtom,
+    eventLogScheduleAtom,
+    eventLogLastSendAtomFamily,
+    eventLogValidationErrorsAtomFamily,
+    eventLogRejectionsAtomFamily,
+    eventLogOverflowAtom,
+    eventLogTabsAtom,
+    eventLogDriverAtom,
+    eventLogClearerAtom,
+    sendAllEventLogs
+} = logRiverInternals
+
+
+/**Configure defaults (2) */
+//
+const positions = {
+    'bottom-right': {bottom: 12, right: 12},
+    'bottom-left': {bottom: 12, left: 12},
+    'top-right': {top: 12, right: 12},
+    'top-left': {top: 12, left: 12}
+}
+//
+const styles = {
+    panel: {position: 'fixed', zIndex: 2147483647, width: 420, maxHeight: '70vh', overflow: 'auto', font: '12px/1.4 ui-monospace, Menlo, monospace', color: '#e6e6e6', background: 'rgba(24, 26, 31, 0.96)', border: '1px solid #3a3f4b', borderRadius: 6, boxShadow: '0 4px 16px rgba(0, 0, 0, 0.35)'},
+    toggle: {position: 'fixed', zIndex: 2147483647, font: '12px ui-monospace, Menlo, monospace', color: '#e6e6e6', background: '#2b2f3a', border: '1px solid #3a3f4b', borderRadius: 6, padding: '6px 10px', cursor: 'pointer'},
+    header: {display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '6px 10px', borderBottom: '1px solid #3a3f4b', position: 'sticky', top: 0, background: '#20232b'},
+    key: {padding: '8px 10px', borderBottom: '1px solid #2f333d'},
+    row: {display: 'flex', flexWrap: 'wrap', gap: 6, alignItems: 'center', marginTop: 4},
+    badge: color => ({padding: '0 6px', borderRadius: 3, background: color, color: '#111'}),
+    button: {font: 'inherit', color: '#e6e6e6', background: '#343945', border: '1px solid #4a5060', borderRadius: 3, padding: '1px 8px', cursor: 'pointer'},
+    error: {color: '#ff8a80', marginTop: 4, wordBreak: 'break-word'},
+    events: {margin: '4px 0 0', padding: 0, listStyle: 'none', color: '#b8bcc6'}
+}
+
+
+/* Helper functions (2) */
+
+/**Milliseconds from now, as '12s' or 'now' */
+const fromNow = (time = null, now = Date.now()) => time === null || time === undefined? '-' : time <= now? 'now' : `${Math.ceil((time - now) / 1000)}s`
+//
+/**A short line for an error of any shape */
+const describeError = (error = null) => error === null || error === undefined? null
+    : error instanceof Error? `${error.name}: ${error.message}`
+    : typeof error === 'object'? error.msg || error.message || JSON.stringify(error)
+    : `${error}`
+
+
+/* Components (3) */
+
+/**
+ * The events of one partition, newest last
+ * @param {string} props.label - 'normal' | 'temp'
+ * @param {Object[]} props.events - The partition
+ * @param {number} props.maxEvents - How many of the newest events to list
+ */
+const InspectorEvents = ({label, events = [], maxEvents = 20}) => <div>
+    <div>{label} ({events.length})</div>
+    <ol style={styles.events} start={Math.max(events.length - maxEvents, 0) + 1}>
+        {events.slice(-maxEvents).map((event, i) => <li key={i} title={JSON.stringify(event, null, 2)}>
+            {event.metadata && event.metadata.timeISO? event.metadata.timeISO.slice(11, 23) : ''} {event.level && event.level !== 'info'? `[${event.level}] ` : ''}{event.code}{event.info? ` - ${event.info}` : ''}
+        </li>)}
+    </ol>
+</div>
+//
+/**
+ * Everything about one log key, with its buttons
+ * @param {string} props.logKey - The log key
+ * @param {number} props.now - The time to count down from
+ * @param {number} props.maxEvents - How many events to list per partition
+ */
+const InspectorKey = ({logKey, now, maxEvents}) => {
+    const store = useStore()
+    const [expanded, setExpanded] = useState(false)
+    const eventsNormal = useAtomValue(eventLogPendingSendAtomFamily(generateEventLogAtomKey(logKey, true))) || []
+    const eventsTemp = useAtomValue(eventLogPendingSendAtomFamily(generateEventLogAtomKey(logKey, false))) || []
+    const sending = useAtomValue(eventLogSendingAtomFamily(logKey))
+    const retry = useAtomValue(eventLogRetryAtomFamily(logKey))
+    const deadLetters = useAtomValue(eventLogDeadLetterAtomFamily(logKey))
+    const lastSend = useAtomValue(eventLogLastSendAtomFamily(logKey))
+    const validationErrors = useAtomValue(eventLogValidationErrorsAtomFamily(logKey))
+    const rejections = useAtomValue(eventLogRejectionsAtomFamily(logKey))
+    const paused = useAtomValue(eventLogsPausedAtom)[logKey] || {pauseLogging: false, pauseSending: false}
+    const minLevels = useAtomValue(eventLogMinLevelsAtom)
+    const minLevel = minLevels[logKey] || minLevels['*'] || null
+    const schedule = useAtomValue(eventLogScheduleAtom)[logKey] || null
+    const hasSender = typeof useAtomValue(eventLogSendersAtom)[logKey] === 'function'
+    const overflow = useAtomValue(eventLogOverflowAtom)[logKey] || null
+    const logDrive = useSetAtom(eventLogDriverAtom)
+    const clear = useSetAtom(eventLogClearerAtom)
+    const jammed = paused.pauseLogging || paused.pauseSending
+    //
+    return <div style={styles.key}>
+        <div style={styles.row}>
+            <strong>{logKey}</strong>
+            {jammed
+                ? <span style={styles.badge('#ffb74d')}>jammed{paused.pauseLogging && paused.pauseSending? '' : paused.pauseLogging? ' (logging)' : ' (sending)'}</span>
+                : <span style={styles.badge('#81c784')}>driving</span>}
+            {sending && <span style={styles.badge('#64b5f6')}>sending</span>}
+            {!hasSender && <span style={styles.badge('#9e9e9e')}>no sender</span>}
+            {minLevel !== null && <span title='Events below this level are left out'>min {minLevel}</span>}
+        </div>
+        <div style={styles.row}>
+            <span>normal {eventsNormal.length}</span>
+            <span>temp {eventsTemp.length}</span>
+            <span>dead letters {deadLetters.reduce((total, {batch}) => total + batch.length, 0)}</span>
+            {rejections.length > 0 && <span>rejected {rejections.length}</span>}
+            {overflow && <span>overflow -{overflow.dropped}</span>}
+        </div>
+        <div style={styles.row}>
+            {retry.nextAttemptAt !== null && <span>retry #{retry.attempts + 1} in {fromNow(retry.nextAttemptAt, now)}</span>}
+            {schedule && <span>next check {fromNow(schedule.nextCheckAt, now)} (at {schedule.pendingSendMax})</span>}
+            {schedule && schedule.latency !== null && schedule.latency !== undefined && <span>latency {schedule.latency}ms</span>}
+            {schedule && schedule.offline && <span style={styles.badge('#e57373')}>offline</span>}
+            {lastSend && <span title={new Date(lastSend.at).toISOString()}>last: {lastSend.status} {lastSend.count} ({Math.max(Math.round((now - lastSend.at) / 1000), 0)}s ago)</span>}
+        </div>
+        {retry.lastError && <div style={styles.error}>{describeError(retry.lastError)}</div>}
+        {validationErrors.slice(-3).map((error, i) => <div key={i} style={styles.error}>{describeError(error)}</div>)}
+        {rejections.slice(-3).map((error, i) => <div key={i} style={styles.error}>{describeError(error)}</div>)}
+        <div style={styles.row}>
+            <button style={styles.button} disabled={!hasSender} onClick={() => sendAllEventLogs(store, [logKey])}>send</button>
+            <button style={styles.button} onClick={() => clear(logKey)}>clear</button>
+            {jammed
+                ? <button style={styles.button} onClick={() => logDrive({type: 'drive', keys: [logKey], prevent: ['logging', 'sending']})}>drive</button>
+                : <button style={styles.button} onClick={() => logDrive({type: 'jam', keys: [logKey], prevent: ['logging', 'sending']})}>jam</button>}
+            <button style={styles.button} onClick={() => setExpanded(!expanded)}>{expanded? 'hide events' : 'events'}</button>
+        </div>
+        {expanded && <div style={styles.row}>
+            <InspectorEvents label='normal' events={eventsNormal} maxEvents={maxEvents} />
+            <InspectorEvents label='temp' events={eventsTemp} maxEvents={maxEvents} />
+        </div>}
+    </div>
+}
+//
+/**
+ * A floating panel showing every log key of the <LogRiver> it's rendered in. Render it inside <LogRiver>.
+ * @param {string} props.position - 'bottom-right' | 'bottom-left' | 'top-right' | 'top-left'
+ * @param {boolean} props.initialOpen - Start opened instead of as a button
+ * @param {number} props.maxEvents - How many of the newest events to list per partition
+ * @returns {ReactNode} The panel
+ */
+export const LogRiverInspector = ({position = 'bottom-right', initialOpen = false, maxEvents = 20}) => {
+    const [open, setOpen] = useState(initialOpen)
+    const [now, setNow] = useState(Date.now())
+    const keys = useAtomValue(eventLogsAtom)
+    const tabs = useAtomValue(eventLogTabsAtom)
+    /**Tick while open, for the countdowns */
+    useEffect(() => {
+        if (!open) return
+        const intervalId = setInterval(() => setNow(Date.now()), 1000)
+        return () => clearInterval(intervalId)
+    }, [open])
+    const place = positions[position] || positions['bottom-right']
+    //
+    if (!open) return <button style={{...styles.toggle, ...place}} onClick={() => setOpen(true)}>
+        log river ({keys.length})
+    </button>
+    return <div style={{...styles.panel, ...place}}>
+        <div style={styles.header}>
+            <strong>{packageName}</strong>
+            {tabs.role !== null && <span>tab: {tabs.role}</span>}
+            <button style={styles.button} onClick={() => setOpen(false)}>close</button>
+        </div>
+        {keys.length === 0 && <div style={styles.key}>No log keys yet</div>}
+        {keys.map(logKey => <InspectorKey key={logKey} logKey={logKey} now={now} maxEvents={maxEvents} />)}
+    </div>
+}
+
+export default LogRiverInspector
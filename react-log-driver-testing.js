@@ -0,0 +1,289 @@
+/**
+ * react-log-driver testing
+ * ===============
+ * An in-memory log river for tests: a wrapper component, a recording transport instead of the network,
+ * a controllable clock for interval sends & retries, and assertions on what was logged & sent.
+ *
+ *    const river = createTestLogRiver({pendingSendMax: 5, timeInterval: 15000})
+ *    render(<SignupForm />, {wrapper: river.Wrapper})
+ *    fireEvent.click(screen.getByText('Sign up'))
+ *    river.expectLogged('forms', {code: 'signup_click'})
+ *    await river.advance(15000)                    // The interval check sends what's pending
+ *    expect(river.getBatches('forms')).toHaveLength(1)
+ *
+ * Logging changes the store, which re-renders the senders: log from the test itself with river.log(key, event),
+ * or wrap calls to a component's log() in act() (render() & fireEvent already are), so React doesn't warn about updates outside act().
+ *
+ * It lives in its own module, so it never ends up in application builds.
+ */
+
+/**Import & Initialize dependencies (3) */
+//
+import { act } from 'react'
+import { useAtomValue, useStore } from 'jotai'
+import useLoggerSender, { LogRiver, logRiverInternals } from './react-log-driver'
+//
+const {
+    packageName,
+    eventLogsAtom,
+    eventLogKeyAdderAtom,
+    eventLogPendingAdderAtomFamily,
+    eventLogPendingSendAtomFamily,
+    generateEventLogAtomKey,
+    eventLogSendingAtomFamily,
+    eventLogDeadLetterAtomFamily,
+    sendAllEventLogs
+} = logRiverInternals
+//
+/**The real setTimeout, for waiting on pending promises even while a test fakes the global timers */
+const realSetTimeout = globalThis.setTimeout
+
+
+/**Configure defaults (1) */
+//
+const testLogRiverDefaults = {
+    senders: true /* Mount a main instance with the recording transport for every log key (true), some keys (an array) or none (false) */,
+    pendingSendMax: 5,
+    timeInterval: 15000,
+    retry: {maxAttempts: 5, baseDelay: 1000, maxDelay: 60000, factor: 2, jitter: 0} /* No jitter, so retries happen at known times */,
+    startTime: 0 /* What clock.now() starts at */,
+    river: {} /* More <LogRiver> props, e.g. {sampling, redact, schemas} */
+}
+
+
+/* Helper functions (3) */
+
+/**Run a change to the store in act() when the test environment supports it, so React updates without warnings */
+const inAct = async fn => {
+    if (!globalThis.IS_REACT_ACT_ENVIRONMENT) return await fn()
+    let result
+    await act(async () => {
+        result = await fn()
+    })
+    return result
+}
+//
+/**Whether a value matches what's expected: a code, a predicate, or a partial (nested) object */
+const matches = (value, expected) => {
+    if (typeof expected === 'function') return Boolean(expected(value))
+    if (expected === null || typeof expected !== 'object') return Object.is(value, expected)
+    if (value === null || typeof value !== 'object') return false
+    if (Array.isArray(expected)) return Array.isArray(value) && expected.length === value.length && expected.every((item, i) => matches(value[i], item))
+    return Object.entries(expected).every(([field, item]) => matches(value[field], item))
+}
+const eventMatches = (event, match) => matches(event, typeof match === 'string'? {code: match} : match)
+//
+/**A short description of a match for error messages */
+const describeMatch = match => typeof match === 'function'? match.name || 'a predicate' : JSON.stringify(match)
+
+
+/* Test doubles (2) */
+
+/**
+ * A clock whose time only moves when told to. Hand it to <LogRiver clock={...}> (createTestLogRiver() does).
+ * @param {number} start - What now() starts at
+ * @returns {Object} {now, setTimeout, clearTimeout, setInterval, clearInterval, next, advance, pending}
+ */
+export const createTestClock = (start = 0) => {
+    let now = start
+    let lastId = 0
+    const timers = new Map()
+    const add = (fn, ms, interval) => {
+        lastId += 1
+        timers.set(lastId, {at: now + Math.max(Number(ms) || 0, 0), fn, interval})
+        return lastId
+    }
+    const clock = {
+        now: () => now,
+        setTimeout: (fn, ms = 0) => add(fn, ms, null),
+        clearTimeout: id => timers.delete(id),
+        setInterval: (fn, ms = 0) => add(fn, ms, Math.max(Number(ms) || 0, 1)),
+        clearInterval: id => timers.delete(id),
+        /**The next timer due by a time: [id, timer] or undefined */
+        next: (until = Infinity) => [...timers.entries()]
+            .filter(([, timer]) => timer.at <= until)
+            .sort(([idA, a], [idB, b]) => a.at - b.at || idA - idB)[0],
+        /**Run the next timer due by a time, moving the clock to it. Returns false when there is none. */
+        runNext: (until = Infinity) => {
+            const due = clock.next(until)
+            if (!due) return false
+            const [id, timer] = due
+            now = Math.max(now, timer.at)
+            if (timer.interval === null) timers.delete(id)
+            else timers.set(id, {...timer, at: timer.at + timer.interval})
+            timer.fn()
+            return true
+        },
+        /**Move time forward, running every timer which falls due on the way, in order */
+        advance: (ms = 0) => {
+            const until = now + ms
+            while (clock.runNext(until));
+            now = until
+        },
+        pending: () => timers.size
+    }
+    return clock
+}
+//
+/**
+ * A transport which records every batch instead of sending it, and fails (or acknowledges only part of a batch) when told to
+ * @returns {Object} {sendFn(key), batches, failNext(error, times), respondNext(result, times), reset()}
+ */
+export const createRecordingTransport = (clock = {now: () => Date.now()}) => {
+    let failures = []
+    let responses = []
+    const sendFns = {}
+    const transport = {
+        batches: [],
+        /**The async send function of a log key (the same one every time, so it can be a useLoggerSender() argument) */
+        sendFn: key => {
+            if (!sendFns[key]) sendFns[key] = async (events, {batchId = null, attempt = 1} = {}) => {
+                if (failures.length > 0) throw failures.shift()
+                transport.batches.push({key, events, batchId, attempt, at: clock.now()})
+                const response = responses.shift()
+                return typeof response === 'function'? response(events) : response || {ok: true}
+            }
+            return sendFns[key]
+        },
+        /**Make the next sends fail with an error */
+        failNext: (error = new Error('Test transport failure'), times = 1) => {
+            failures = [...failures, ...Array.from({length: times}, () => error)]
+        },
+        /**
+         * Resolve the next sends with a result, e.g. {rejected: [0], retry: [2]}, or a function of the batch returning one
+         * (see the partial results of sendEventLogBatch())
+         */
+        respondNext: (result = {ok: true}, times = 1) => {
+            responses = [...responses, ...Array.from({length: times}, () => result)]
+        },
+        reset: () => {
+            transport.batches = []
+            failures = []
+            responses = []
+        }
+    }
+    return transport
+}
+
+
+/* Components (2) */
+
+/**A main instance which sends one log key through the recording transport */
+const TestRiverSender = ({logKey, transport, options}) => {
+    useLoggerSender(logKey, transport.sendFn(logKey), options)
+    return null
+}
+//
+/**Hands the store out, & mounts the test senders */
+const TestRiverInternals = ({storeRef, transport, config}) => {
+    storeRef.current = useStore()
+    const keys = useAtomValue(eventLogsAtom)
+    const senderKeys = config.senders === true? keys : Array.isArray(config.senders)? config.senders : []
+    const options = {pendingSendMax: config.pendingSendMax, timeInterval: config.timeInterval, retry: config.retry}
+    return senderKeys.map(logKey => <TestRiverSender key={logKey} logKey={logKey} transport={transport} options={options} />)
+}
+
+
+/* The test river (1) */
+
+/**
+ * Create an in-memory log river for a test
+ * @param {Object} options - See testLogRiverDefaults
+ * @returns {Object} {Wrapper, clock, transport, log, advance, flush, getBatches, getSent, getPending, getDeadLetters, getLogged, expectLogged, expectNotLogged, reset}
+ */
+export const createTestLogRiver = (options = {}) => {
+    const config = {...testLogRiverDefaults, ...options, retry: {...testLogRiverDefaults.retry, ...options.retry || {}}}
+    const clock = createTestClock(config.startTime)
+    const transport = createRecordingTransport(clock)
+    const storeRef = {current: null}
+    const store = () => {
+        if (!storeRef.current) throw new Error(`${packageName}: render something in the Wrapper of createTestLogRiver() first`)
+        return storeRef.current
+    }
+    const keysOf = (key = undefined) => key === undefined? store().get(eventLogsAtom) : [key]
+    /**Wait until no batch is being sent (and the promises around it resolved) */
+    const settle = async () => {
+        for (let i = 0; i < 100; i++) {
+            await new Promise(resolve => realSetTimeout(resolve, 0))
+            if (!storeRef.current || !store().get(eventLogsAtom).some(key => store().get(eventLogSendingAtomFamily(key)))) return
+        }
+    }
+    //
+    const river = {
+        clock,
+        transport,
+        /**Wrap the components under test in this, e.g. render(<App />, {wrapper: river.Wrapper}) */
+        Wrapper: ({children}) => <LogRiver {...config.river} clock={clock}>
+            <TestRiverInternals storeRef={storeRef} transport={transport} config={config} />
+            {children}
+        </LogRiver>,
+        /**Log an event to a key from the test itself, in act() */
+        log: async (key, event = null) => inAct(async () => {
+            store().set(eventLogKeyAdderAtom, [key])
+            store().set(eventLogPendingAdderAtomFamily(key), event)
+        }),
+        /**Move the clock forward, running interval checks & retries on the way, each send settling before the next timer */
+        advance: async (ms = 0) => {
+            const until = clock.now() + ms
+            await inAct(async () => {
+                while (clock.runNext(until)) await settle()
+                clock.advance(until - clock.now())
+                await settle()
+            })
+        },
+        /**Send whatever is pending (of one key, or all of them) right away */
+        flush: async (key = undefined) => inAct(async () => {
+            const results = await sendAllEventLogs(store(), keysOf(key))
+            await settle()
+            return results
+        }),
+        /**The batches the transport received: [{key, events, batchId, attempt, at}] */
+        getBatches: (key = undefined) => transport.batches.filter(batch => key === undefined || batch.key === key),
+        /**Every event the transport received */
+        getSent: (key = undefined) => river.getBatches(key).flatMap(({events}) => events),
+        /**Events waiting to be sent (both partitions) */
+        getPending: (key = undefined) => keysOf(key).flatMap(logKey => [
+            ...store().get(eventLogPendingSendAtomFamily(generateEventLogAtomKey(logKey, true))) || [],
+            ...store().get(eventLogPendingSendAtomFamily(generateEventLogAtomKey(logKey, false))) || []
+        ]),
+        /**Events of batches which failed every retry */
+        getDeadLetters: (key = undefined) => keysOf(key).flatMap(logKey => store().get(eventLogDeadLetterAtomFamily(logKey)).flatMap(({batch}) => batch)),
+        /**
+         * Every event logged to a key (or any key) which made it into the river: sent, pending or dead-lettered.
+         * An event the sendFn asked to have sent again is both sent & pending (or dead-lettered), so each event counts once, by its eventId.
+         */
+        getLogged: (key = undefined) => {
+            const seen = new Set()
+            return [...river.getSent(key), ...river.getPending(key), ...river.getDeadLetters(key)].filter(event => {
+                const eventId = event && event.metadata && event.metadata.eventId
+                if (!eventId) return true
+                if (seen.has(eventId)) return false
+                seen.add(eventId)
+                return true
+            })
+        },
+        /**
+         * Assert an event was logged, & get it
+         * @param {string} key - The log key (undefined for any)
+         * @param {string|Object|Function} match - A code, a partial event like {code, data: {...}}, or a predicate
+         * @returns {Object} The first matching event
+         */
+        expectLogged: (key = undefined, match = {}) => {
+            const logged = river.getLogged(key)
+            const event = logged.find(event => eventMatches(event, match))
+            if (event === undefined) throw new Error(`Expected an event matching ${describeMatch(match)} to be logged${key === undefined? '' : ` to "${key}"`}, `
+                + `but got ${logged.length === 0? 'none' : logged.map(({code}) => code).join(', ')}`)
+            return event
+        },
+        /**Assert no event like this was logged */
+        expectNotLogged: (key = undefined, match = {}) => {
+            const event = river.getLogged(key).find(event => eventMatches(event, match))
+            if (event !== undefined) throw new Error(`Expected no event matching ${describeMatch(match)} to be logged${key === undefined? '' : ` to "${key}"`}, but got ${JSON.stringify(event)}`)
+        },
+        /**Forget the recorded batches, planned failures & responses (pending events stay) */
+        reset: () => transport.reset()
+    }
+    return river
+}
+
+export default createTestLogRiver
@@ -15,9 +15,30 @@
  * -----------
  * - Collect and batch multiple log objects for server transmission
  * - Configurable batch sizes and send intervals
+ * - Sampling & rate limiting per key and event code
+ * - PII redaction before events are queued or persisted
+ * - Event levels (trace to fatal) with log.warn()-style helpers, and a minimum level per key which can be changed at runtime
+ * - A pluggable logger for the library's own diagnostics, with its own level (warnings & errors by default)
+ * - Event schemas per key & code, with invalid events warned about, dropped or routed to their own key
+ * - Plugins with beforeLog, beforeSend, afterSend & onError hooks
+ * - Global context (userId, tenant, app version, build SHA, custom dimensions) stamped onto every event
+ * - Sessions which survive reloads & roll over after inactivity, with session_start/session_end events
+ * - Automatic page_view events for SPA route changes, with route templates from your router (usePageViewRoute)
+ * - Web performance metrics (LCP, CLS, INP, FCP, TTFB & long tasks) logged as events (usePerformanceLogging)
+ * - Declarative <LogOnClick> & <LogOnView> (impressions with IntersectionObserver) wrappers
+ * - Error capture: <LogErrorBoundary> for render errors, plus optional window errors & unhandled rejections, deduplicated by fingerprint
  * - Persistent logging instances with unique keys
  * - Automatic and manual log sending capabilities
  * - Temporary storage during transmission
+ * - Bounded queues (per key & in total, by count & estimated bytes) with overflow policies & queue_overflow reports
+ * - Retries with exponential backoff, and a dead-letter queue for batches that keep failing
+ * - Partial acknowledgements: a sendFn may accept part of a batch, reject events for good or ask for some to be retried
+ * - Idempotent delivery: event ids, per-session sequence numbers, and batch ids which stay the same across retries
+ * - Built-in HTTP transport (createHttpTransport) to use as the sendFn
+ * - Optional flush of pending logs with sendBeacon (or keepalive fetch) when the page is hidden or unloaded
+ * - Optional persistence of pending logs (localStorage or IndexedDB), per tab, with the events of closed tabs taken over
+ * - Optional multi-tab coordination: one leader tab sends, the others forward their events to it
+ * - A framework-agnostic log driver (createLogDriver) for code outside React, sharing its queues with <LogRiver>
  * - Support for both simple and advanced logging patterns
  * 
  * Dependencies
@@ -72,7 +93,11 @@
  *     timeISO: string,
  *     path: string,   // Current URL path
  *     href: string,   // Full URL
- *     userId: string  // Optional user identifier
+ *     userId: string, // Optional user identifier
+ *     tenant, appVersion, buildSha, dimensions  // From the log context, when set
+ *     sessionId: string  // When <LogRiver session> is enabled
+ *     eventId: string,   // A UUID, for the server to drop repeats
+ *     sequence: number   // Counts up per log key & session (or page load), for the server to find gaps
  *   }
  * }
  * 
@@ -83,45 +108,61 @@
  * - code field is always present (defaults to 'unknown')
  * - Batch sending occurs when:
  *   a) Log count reaches pendingSendMax
- *   b) timeInterval milliseconds have elapsed
- *   c) Manual send is triggered
+ *   b) timeInterval milliseconds have elapsed (kept within schedule.minInterval & maxInterval, adaptive with schedule.adaptive)
+ *   c) An event has waited schedule.maxAge milliseconds
+ *   d) Manual send is triggered
+ * - Nothing is sent by itself while the browser is offline (schedule.pauseOffline)
  * 
  * Coming Soon
  * ----------
- * - Configurable send intervals per log type
  * - Enhanced useLogDriver implementation
  * - Custom date format support
- * - Improved error handling and retry logic
  */
 
 /**Import & Initialize dependencies (4) */
 //
-import { useCallback, useEffect, useState } from 'react'
+import { Component, cloneElement, isValidElement, useCallback, useEffect, useMemo, useRef } from 'react'
 import { useMutation, QueryClientProvider, QueryClient } from '@tanstack/react-query'
-import { atom, useAtom, useAtomValue, useSetAtom } from 'jotai'
-import { atomFamily } from 'jotai/utils'
+import { atom, createStore, useAtom, useAtomValue, useSetAtom, useStore } from 'jotai'
+import { atomFamily, useHydrateAtoms } from 'jotai/utils'
 import { Provider as JotaiProvider } from 'jotai'
 //
 const packageName = '@realdem/react-log-driver'
 //
 
 
-/**Display states & errors in the console? */
-const debug = true
-const consoleErrors = true
-
-
-
-/**Configure defaults (3) */
+/**Configure defaults (24) */
 //
 const defaultKey = 'default'
 const maxKeyLength = 1024
+/**The severities of events & of the library's own diagnostics, from the least to the most severe */
+const logLevels = ['trace', 'debug', 'info', 'warn', 'error', 'fatal']
+/**The level of events logged without one */
+const defaultLevel = 'info'
+/**Events rejected by the server which are kept per key, for useLoggerSender().errors & useLogDriver().rejected */
+const maxRejections = 50
 //
 const defaultParam = {
     activeSending: true /* If the mainInstance sender should automatically send */,
     pendingSendMax: 5 /* Maximum logged objects */,
     timeInterval: 15000 /* Milliseconds */,
-    prepFn: data => data
+    prepFn: data => data,
+    onRejected: null /* Called with the events the sendFn rejected for good: ([{event, reason}], {key, batchId}) */,
+    retry: {
+        maxAttempts: 5 /* Sends of one batch before it moves to the dead-letter queue */,
+        baseDelay: 1000 /* Milliseconds before the first retry */,
+        maxDelay: 60000 /* Milliseconds */,
+        factor: 2 /* Exponential growth of the delay per attempt */,
+        jitter: 0.5 /* Up to this fraction of each delay is randomly taken off */
+    },
+    schedule: {
+        minInterval: null /* Milliseconds, the shortest wait between time-based sends (timeInterval when null) */,
+        maxInterval: null /* Milliseconds, the longest wait between time-based sends (timeInterval when null) */,
+        maxAge: null /* Milliseconds an event may wait before its queue is sent anyway */,
+        adaptive: false /* Wait shorter as the queue fills up, and longer while the server is slower than targetLatency */,
+        targetLatency: 1000 /* Milliseconds a send may take before adaptive intervals grow */,
+        pauseOffline: true /* Don't send by itself while the browser is offline, and send once it's back online */
+    }
 }
 //
 /**Defaults for an event log object */
@@ -138,9 +179,169 @@ const navigateToDefaults = {
     target: '_self',
     onlyTheseKeys: []
 }
+//
+/**Defaults for <LogRiver logger={...}>, which writes the library's own diagnostics */
+const internalLoggerDefaults = {
+    level: 'warn' /* The least severe diagnostics which are written: one of logLevels, or 'silent' */,
+    output: null /* An object with trace/debug/info/warn/error(/fatal) methods, like console or a pino/winston logger. console when null */
+}
+//
+/**Defaults for the props of <LogRiver> which configure how events are handled */
+const logRiverConfigDefaults = {
+    sampling: [],
+    redact: null,
+    plugins: [],
+    clock: null,
+    schemas: null,
+    limits: null,
+    session: null,
+    pageViews: null,
+    captureErrors: null,
+    logger: internalLoggerDefaults
+}
+//
+/**The clock of sends, interval checks & retries. <LogRiver clock={...}> swaps it, e.g. for the controllable clock of createTestLogRiver(). */
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: id => clearTimeout(id),
+    setInterval: (fn, ms) => setInterval(fn, ms),
+    clearInterval: id => clearInterval(id)
+}
+//
+/**Defaults for <LogRiver session={...}> */
+const sessionDefaults = {
+    timeout: 30 * 60 * 1000 /* Milliseconds of inactivity before the session ends */,
+    rolloverAtMidnight: true /* Start a new session at (local) midnight */,
+    key: 'session' /* Log key which receives the session_start & session_end events */,
+    storage: 'localStorage' /* 'localStorage' (shared by tabs, survives reloads) | 'sessionStorage' (one session per tab) */
+}
+//
+/**Defaults for <LogRiver pageViews={...}> */
+const pageViewDefaults = {
+    key: 'navigation' /* Log key which receives the page_view events */,
+    code: 'page_view',
+    hash: true /* Changes of location.hash alone are page views too */,
+    replaceState: true /* history.replaceState() to a new path is a page view too */,
+    routeTimeout: 500 /* Milliseconds to wait for usePageViewRoute() to report the route template before logging without it */
+}
+//
+/**Defaults for <LogRiver captureErrors={...}>, the dedupe window also applies to <LogErrorBoundary> */
+const errorCaptureDefaults = {
+    key: 'errors' /* Log key which receives window errors & unhandled rejections */,
+    code: 'error',
+    windowErrors: true /* Capture uncaught errors (window 'error' event) */,
+    unhandledRejections: true /* Capture unhandled promise rejections */,
+    dedupeWindow: 60000 /* Milliseconds during which an error with the same fingerprint is only counted, not logged again */
+}
+//
+/**Defaults for usePerformanceLogging() & <LogRiver performance={...}> */
+const performanceDefaults = {
+    key: 'performance' /* Log key which receives the metrics */,
+    metrics: ['LCP', 'CLS', 'INP', 'FCP', 'TTFB'],
+    code: 'web_vital',
+    longTasks: true /* Log every long task (50ms+ on the main thread) too */,
+    longTaskCode: 'long_task'
+}
+//
+/**Defaults for <LogRiver multiTab={...}> */
+const multiTabDefaults = {
+    channel: `${packageName}:tabs` /* Name of the BroadcastChannel (or localStorage key) the tabs talk over */,
+    heartbeat: 1000 /* Milliseconds between the leader's heartbeats */,
+    leaseTimeout: 3000 /* Milliseconds without a heartbeat before the followers elect a new leader */,
+    electionTimeout: 300 /* Milliseconds to collect the claims of other tabs during an election */,
+    ackTimeout: 2000 /* Milliseconds to wait for the leader to take forwarded events */
+}
+//
+/**Defaults for the tab leases of <LogRiver persist>: every tab persists its own events, & takes over those of tabs which are gone */
+const persistLeaseDefaults = {
+    leasesKey: `${packageName}:persist-leases` /* localStorage key of every tab's lease on its persisted events */,
+    claimsKey: `${packageName}:persist-claims` /* localStorage key of which tab claimed the events of each tab that is gone */,
+    claimDelay: 50 /* Milliseconds between claiming the events of a gone tab & checking that no other tab claimed them after */,
+    tabIdKey: `${packageName}:persist-tab` /* sessionStorage key of this tab's id, so a reload picks its own events up again */,
+    heartbeat: 5000 /* Milliseconds between renewals of this tab's lease, which also look for events of tabs that are gone */,
+    leaseTimeout: 15000 /* Milliseconds after the last renewal before other tabs take a tab's persisted events over */
+}
+//
+/**Defaults for <LogRiver schemas={...}> */
+const schemaDefaults = {
+    keys: {} /* {[key | '*']: {[code | '*']: {required: {[path]: spec}, optional: {[path]: spec}}}} (see validateEvent) */,
+    onInvalid: 'warn' /* 'warn' (queue it anyway) | 'drop' | 'route' (queue it in invalidKey instead) */,
+    invalidKey: 'invalid-events',
+    strictCodes: false /* Codes without a schema are invalid, for keys which have schemas */,
+    maxErrors: 20 /* Validation errors kept per key for useLoggerSender().errors */
+}
+//
+/**Defaults for <LogRiver limits={...}>. Every limit is off (null) unless set. */
+const queueLimitDefaults = {
+    maxEvents: null /* Pending events per key */,
+    maxBytes: null /* Estimated bytes (JSON length) of the pending events per key */,
+    totalEvents: null /* Pending events of every key together */,
+    totalBytes: null /* Estimated bytes of every key together */,
+    maxDeadLetters: null /* Batches in the dead-letter queue per key */,
+    overflow: 'drop-oldest' /* 'drop-oldest' | 'drop-newest' | 'sample' (drop every other event until it fits) */,
+    overflowCode: 'queue_overflow',
+    keys: {} /* {[key]: {maxEvents, maxBytes, overflow}} to override the limits of single keys */
+}
+//
+/**Defaults for the log context (<LogRiver context> & useLogContext()) which is stamped onto every event's metadata */
+const logContextDefaults = {
+    userId: null,
+    tenant: null,
+    appVersion: null,
+    buildSha: null,
+    dimensions: {} /* Any custom fields */
+}
+//
+/**Defaults for a <LogRiver sampling={[...]}> rule */
+const samplingRuleDefaults = {
+    key: null /* Log key, RegExp (or array of them) the rule applies to, null for every key */,
+    code: null /* Event code, RegExp (or array of them) the rule applies to, null for every code */,
+    rate: 1 /* Fraction of the events to keep, written into metadata.sampleRate */,
+    by: 'random' /* 'random' | 'userId' (deterministic: the same users are always kept) */,
+    firstN: null /* Only keep the first N events per browser session */,
+    rateLimit: null /* Token bucket: {capacity, refillPerSecond} */
+}
+//
+/**Defaults for createRedactor() & <LogRiver redact={...}> */
+const redactDefaults = {
+    deny: [] /* Field paths to remove, e.g. 'data.password' or 'data.users.*.email' */,
+    allow: null /* If an array of field paths, only those are kept (besides `code` & the metadata the library adds) */,
+    scrub: ['email', 'card', 'jwt'] /* Built-in scrubbers by name, or your own: {pattern: RegExp, replacement: string} */,
+    stripQueryParams: true /* Remove the query string & hash from URLs, or only the names in an array */,
+    urlFields: ['metadata.href', 'data.referrer'] /* Field paths which hold URLs */,
+    hash: [] /* Field paths whose values are replaced by a hash, so they can still be grouped by */,
+    hashSalt: ''
+}
+//
+/**Defaults for createHttpTransport() */
+const httpTransportDefaults = {
+    url: null /* Endpoint which receives the batches (required) */,
+    method: 'POST',
+    headers: {} /* An object, or an (async) function returning one. Functions are called before every request, e.g. for auth tokens */,
+    format: 'json' /* 'json' (an array of events) | 'ndjson' (one event per line) */,
+    compress: false /* gzip the body with CompressionStream, if the browser has it */,
+    timeout: 10000 /* Milliseconds before the request is aborted */,
+    refreshAuth: null /* Async function called after a 401 response, before the request is tried once more */,
+    idempotencyHeader: 'Idempotency-Key' /* Header carrying the batchId, the same for every retry of a batch (null to leave it out) */,
+    readResult: null /* Async function turning a successful Response into the sendFn result, e.g. response => response.json() when the server acknowledges batches in part */,
+    fetch: null /* Defaults to the global fetch */,
+    logger: null /* Where the transport's own diagnostics go, like <LogRiver logger={...}> */
+}
+//
+/**Defaults for <LogRiver unloadFlush={...}> */
+const unloadFlushDefaults = {
+    url: null /* Endpoint which receives the pending logs while the page is torn down (required) */,
+    transport: 'beacon' /* 'beacon' | 'fetch' (with keepalive) */,
+    maxBytes: 60000 /* sendBeacon & keepalive requests are limited to 64KiB, so payloads are split into chunks of this size */,
+    maxTotalBytes: 60000 /* Browsers allow about 64KiB of beacon & keepalive requests in flight at once, so all the chunks together stay within this */,
+    contentType: 'application/json',
+    headers: {} /* Only sent with 'fetch', beacons can't have headers */,
+    events: ['visibilitychange', 'pagehide'] /* Add 'beforeunload' if you need it, although it keeps pages out of the back/forward cache */
+}
 
 
-/* Helper functions (7) */
+/* Helper functions (23) */
 
 /**
  * Generate current timestamp
@@ -159,7 +360,7 @@ const timestamp = (format = null) => {
 }
 //
 /**Check if a variable is an object with keys */
-const isObject = thisVariable => thisVariable instanceof Object && !Array.isArray(thisVariable)
+const isObject = thisVariable => thisVariable instanceof Object && !Array.isArray(thisVariable) && typeof thisVariable !== 'function'
 //
 /**
  * Takes provided key and returns a usable string
@@ -191,21 +392,148 @@ const sanitizeRawEvent = (event = undefined) =>
             info: ['bigint'].includes(typeof event)? `${event}` : null
         })
 //
-const addEventMetadata = event => ({
-    metadata: {
-        /**Ensure any user-provided metadata is still being included in the log */
-        ...event.metadata === undefined? {} : isObject(event.metadata)? event.metadata : {metadata: event.metadata},
-        time: timestamp(),
-        timeUnix: timestamp('unix'),
-        timeISO: timestamp('iso'),
-        path: window.location.pathname,
-        href: window.location.href,
-        userId: null
-    },
-    data: null,
-    ...event
+/**
+ * Add the metadata of the moment an event is logged. The log context is copied in, so changing it later doesn't affect queued events.
+ * A userId in the event's own metadata takes precedence over the context's. Events without a (valid) level get defaultLevel.
+ */
+const addEventMetadata = (event, context = logContextDefaults, session = null) => {
+    /**Ensure any user-provided metadata is still being included in the log */
+    const userMetadata = event.metadata === undefined? {} : isObject(event.metadata)? event.metadata : {metadata: event.metadata}
+    return {
+        data: null,
+        ...event,
+        level: levelOf(event),
+        metadata: {
+            ...userMetadata,
+            time: timestamp(),
+            timeUnix: timestamp('unix'),
+            timeISO: timestamp('iso'),
+            /**Web workers (see createLogDriver()) have no window */
+            path: typeof window === 'undefined'? null : window.location.pathname,
+            href: typeof window === 'undefined'? null : window.location.href,
+            userId: [null, undefined].includes(userMetadata.userId)? context.userId : userMetadata.userId,
+            ...['tenant', 'appVersion', 'buildSha'].reduce((fields, field) => 
+                [null, undefined].includes(context[field])? fields : {...fields, [field]: context[field]}
+            , {}),
+            ...isObject(context.dimensions) && Object.keys(context.dimensions).length > 0? {dimensions: {...context.dimensions}} : {},
+            ...session? {sessionId: session.id} : {},
+            /**An event logged again on purpose may keep its id, so the server drops the repeat */
+            eventId: typeof userMetadata.eventId === 'string' && userMetadata.eventId.length > 0? userMetadata.eventId : generateId()
+        }
+    }
+}
+//
+/**Generate a unique identifier (a UUID where the browser has crypto.randomUUID) */
+const generateId = () => typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'? crypto.randomUUID()
+    : 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+        let random = Math.random() * 16 | 0
+        return (char === 'x'? random : (random & 0x3 | 0x8)).toString(16)
+    })
+//
+/**Check if a session has ended by inactivity or by passing midnight */
+const sessionExpired = (session = null, now = Date.now(), config = sessionDefaults) => 
+    !session
+    || now - session.lastActivityAt > config.timeout
+    || (config.rolloverAtMidnight && new Date(session.lastActivityAt).toDateString() !== new Date(now).toDateString())
+//
+/**The path which identifies a page for page views (the query string is left out, as it may hold personal data) */
+const currentPagePath = (config = pageViewDefaults) => typeof window === 'undefined'? null
+    : window.location.pathname + (config.hash? window.location.hash : '')
+//
+/**
+ * Turn what a router knows about the current route into a template like '/users/:id':
+ * a template string, an array of matches (matchRoutes() or useMatches() of React Router) or a single match {pathname, params}
+ */
+const routeTemplateFrom = (route = null) => {
+    if (typeof route === 'string') return route
+    if (Array.isArray(route)) {
+        /**Matches with their route config (matchRoutes()) hold the template pieces, others hold params to swap back in */
+        if (route.length > 0 && route.every(match => isObject(match) && isObject(match.route))) {
+            const template = route.map(match => match.route.path || '').filter(Boolean).join('/').replace(/\/{2,}/g, '/')
+            return template.startsWith('/')? template : `/${template}`
+        }
+        return routeTemplateFrom(route[route.length - 1])
+    }
+    if (!isObject(route) || typeof route.pathname !== 'string') return null
+    const params = Object.entries(isObject(route.params)? route.params : {}).filter(([name, value]) => name !== '*' && typeof value === 'string' && value !== '')
+    return route.pathname.split('/').map(segment => {
+        let decoded = segment
+        try { decoded = decodeURIComponent(segment) } catch (error) {}
+        const param = params.find(([, value]) => value === decoded)
+        return param? `:${param[0]}` : segment
+    }).join('/')
+}
+//
+/**Turn anything thrown (or rejected with) into plain data for an event */
+const serializeError = (error = null) => error instanceof Error
+    ? {name: error.name, message: error.message, stack: error.stack || null}
+    : {name: 'NonError', message: typeof error === 'string'? error : (() => { try { return JSON.stringify(error) } catch (e) { return String(error) } })(), stack: null}
+//
+/**Identify an error by its name, message & top stack frames (and component), so repeats of the same error share a fingerprint */
+const errorFingerprint = ({name = '', message = '', stack = null, componentStack = null} = {}) => {
+    const topFrames = (stack || '').split('\n').map(line => line.trim()).filter(line => line.startsWith('at ') || line.includes('@')).slice(0, 3)
+    const topComponent = (componentStack || '').split('\n').map(line => line.trim()).find(Boolean) || ''
+    return hashString([name, message, ...topFrames, topComponent].join('|')).toString(16)
+}
+//
+/**Clean up a log context provided by the user */
+const sanitizeLogContext = (context = {}) => ({
+    ...logContextDefaults,
+    ...isObject(context)? context : {},
+    dimensions: isObject(context) && isObject(context.dimensions)? context.dimensions : {}
+})
+//
+/**Milliseconds to wait before the next attempt of a failed batch: exponential backoff with jitter */
+const retryDelay = (attempts = 1, retry = defaultParam.retry) => {
+    let delay = Math.min(retry.baseDelay * Math.pow(retry.factor, Math.max(attempts - 1, 0)), retry.maxDelay)
+    return Math.round(delay * (1 - Math.min(Math.max(retry.jitter, 0), 1) * Math.random()))
+}
+//
+/**Quick, non-cryptographic string hash (32-bit FNV-1a) */
+const hashString = (string = '') => {
+    let hash = 0x811c9dc5
+    for (let i = 0; i < string.length; i++) {
+        hash ^= string.charCodeAt(i)
+        hash = Math.imul(hash, 0x01000193)
+    }
+    return hash >>> 0
+}
+//
+/**Check if a rule's key/code (a value, a RegExp, an array of them, or null for any) matches */
+const ruleMatches = (ruleValue = null, value = undefined) => 
+    ruleValue === null || ruleValue === undefined || (Array.isArray(ruleValue)? ruleValue : [ruleValue]).some(match => 
+        match instanceof RegExp? typeof value === 'string' && new RegExp(match.source, match.flags.replace('g', '')).test(value) : match === value
+    )
+//
+/**Check if a log key is jammed for 'logging' or 'sending' */
+const isPaused = (paused = {}, key = defaultKey, what = 'sending') => 
+    Boolean(paused[key] && paused[key][what === 'logging'? 'pauseLogging' : 'pauseSending'])
+//
+/**Merge the `retry` parameter with its defaults. `false` means a failed batch goes straight to the dead-letter queue. */
+const sanitizeRetryParam = (retry = undefined) => ({
+    ...defaultParam.retry,
+    ...retry === false? {maxAttempts: 1} : isObject(retry)? retry : {}
 })
 //
+/**The schedule of a sender, with its min & max intervals falling back on timeInterval (no time-based sends when that's 0 too) */
+const sanitizeScheduleParam = (schedule = undefined, timeInterval = defaultParam.timeInterval) => {
+    const merged = {...defaultParam.schedule, ...isObject(schedule)? schedule : {}}
+    const positive = value => Number.isFinite(value) && value > 0? value : null
+    const interval = positive(timeInterval)
+    let minInterval = positive(merged.minInterval) || interval
+    let maxInterval = positive(merged.maxInterval) || interval
+    if (minInterval === null) minInterval = maxInterval
+    if (maxInterval === null) maxInterval = minInterval
+    return {
+        ...merged,
+        interval: interval === null? maxInterval : Math.min(Math.max(interval, minInterval), maxInterval),
+        minInterval,
+        maxInterval: maxInterval === null? null : Math.max(maxInterval, minInterval),
+        maxAge: Number.isFinite(merged.maxAge) && merged.maxAge >= 0? merged.maxAge : null,
+        targetLatency: positive(merged.targetLatency) || defaultParam.schedule.targetLatency
+    }
+}
+//
 /**For partitioning event logs logically */
 const generateEventLogAtomKey = (key = defaultKey, logNormal = true) => `${packageName}:${key}:${logNormal? 'normal' : 'temp'}`
 //
@@ -214,121 +542,2424 @@ const newLogState = param => ({
     ...newLogStateDefaults,
     ...isObject(param)? param : ['string', 'number', 'bigint'].includes(typeof param)? {key: sanitizeRawEvent(param)} : {}
 })
+//
+/**Reverse of generateEventLogAtomKey(), returns null for anything that isn't an event log atom key */
+const parseEventLogAtomKey = (atomKey = '') => {
+    if (typeof atomKey !== 'string' || !atomKey.startsWith(`${packageName}:`)) return null
+    let logNormal = atomKey.endsWith(':normal')
+    if (!logNormal && !atomKey.endsWith(':temp')) return null
+    return {
+        key: atomKey.slice(packageName.length + 1, atomKey.lastIndexOf(':')),
+        logNormal
+    }
+}
+//
+/**Ids of the functions & class instances which stableKeyOf() came across, by identity */
+const stableKeyIds = new WeakMap()
+let lastStableKeyId = 0
+/**
+ * A string which only changes when a value (like the props of <LogRiver>) changes: plain objects & arrays by their content,
+ * functions & other objects (a store, a clock...) by their identity, so objects written inline don't count as changes on every render
+ */
+const stableKeyOf = value => JSON.stringify(value, (field, item) => {
+    if (item instanceof RegExp) return `RegExp(${item})`
+    if (typeof item !== 'function' && (!isObject(item) || [Object.prototype, null].includes(Object.getPrototypeOf(item)))) return item
+    if (!stableKeyIds.has(item)) stableKeyIds.set(item, lastStableKeyId += 1)
+    return `${typeof item}#${stableKeyIds.get(item)}`
+})
+
+
+/* Log levels (5) */
+
+/**The rank of a level in logLevels, -1 for anything else */
+const levelRank = (level = undefined) => logLevels.indexOf(level)
+//
+/**The level of an event: its own when it's one of logLevels, defaultLevel otherwise */
+const levelOf = (event = {}) => isObject(event) && levelRank(event.level) !== -1? event.level : defaultLevel
+//
+/**Check if an event is less severe than the minimum level of its log key, or the one of every key ('*') */
+const belowMinLevel = (minLevels = {}, key = defaultKey, event = {}) => levelRank(levelOf(event)) < levelRank(minLevels[key] || minLevels['*'])
+//
+/**Clean up minimum levels provided by the user: one level for every key, or {[key | '*']: level}. Invalid levels are left out. */
+const sanitizeMinLevels = (minLevel = null) => Object.entries(typeof minLevel === 'string'? {'*': minLevel} : isObject(minLevel)? minLevel : {})
+    .filter(([, level]) => levelRank(level) !== -1)
+    .reduce((minLevels, [key, level]) => ({...minLevels, [key === '*'? key : sanitizeRawKey(key)]: level}), {})
+//
+/**
+ * Give a log function a helper per level, which logs with that level: log.warn(event), log.error(event)...
+ * @param {Function} logAt - level => The log function which logs with that level (null for the event's own level)
+ * @returns {Function} logAt(null), with the helpers
+ */
+const withLevelHelpers = logAt => logLevels.reduce((log, level) => Object.assign(log, {[level]: logAt(level)}), logAt(null))
+
+
+/* Internal logger (2) */
+
+/**Clean up the <LogRiver logger> prop: false for silence, a level, or {level, output} (see internalLoggerDefaults) */
+const sanitizeInternalLogger = (logger = null) => {
+    /**The same object every time, so <LogRiver> without a logger doesn't change its config on every render */
+    if (logger === null || logger === undefined) return internalLoggerDefaults
+    const config = {
+        ...internalLoggerDefaults,
+        ...logger === false? {level: 'silent'} : typeof logger === 'string'? {level: logger} : isObject(logger)? logger : {}
+    }
+    return {
+        level: config.level === 'silent' || levelRank(config.level) !== -1? config.level : internalLoggerDefaults.level,
+        output: isObject(config.output)? config.output : null
+    }
+}
+//
+/**
+ * Write one of the library's own diagnostics, when it's at least as severe as the level of the internal logger
+ * @param {Object} logger - The internal logger of a store: get(logRiverConfigAtom).logger (see sanitizeInternalLogger)
+ * @param {string} level - One of logLevels
+ * @param {...*} details - What to write, after the package name
+ */
+const internalLog = (logger = internalLoggerDefaults, level = 'debug', ...details) => {
+    const {level: minLevel, output} = isObject(logger)? logger : internalLoggerDefaults
+    if (minLevel === 'silent' || levelRank(level) < levelRank(minLevel)) return
+    const target = output || console
+    /**console.trace() prints a stack trace & console has no fatal(), so those go to its debug() & error() */
+    const fallback = {trace: 'debug', fatal: 'error'}[level]
+    const method = target === console? fallback || level : [level, fallback, 'log'].find(name => typeof target[name] === 'function')
+    if (method !== undefined) target[method](packageName, ...details)
+}
+
+
+/* Persistence (5) */
+
+/**Storage key of a partition persisted by a tab. Every tab keeps its own, so tabs never overwrite (or send) each other's events. */
+const generateStoredAtomKey = (tabId, atomKey) => `${packageName}@${tabId}${atomKey.slice(packageName.length)}`
+//
+/**
+ * Reverse of generateStoredAtomKey(): {tabId, atomKey}, with a null tabId for partitions persisted before tabs had their own.
+ * Returns null for anything that isn't a persisted partition.
+ */
+const parseStoredAtomKey = (storageKey = '') => {
+    if (parseEventLogAtomKey(storageKey) !== null) return {tabId: null, atomKey: storageKey}
+    if (typeof storageKey !== 'string' || !storageKey.startsWith(`${packageName}@`)) return null
+    const separator = storageKey.indexOf(':', packageName.length + 1)
+    const atomKey = `${packageName}${storageKey.slice(separator)}`
+    return separator === -1 || parseEventLogAtomKey(atomKey) === null? null : {tabId: storageKey.slice(packageName.length + 1, separator), atomKey}
+}
+//
+/**
+ * Storage backends for pending event logs, so they survive page reloads & crashes.
+ * Every backend has the same asynchronous interface, which means you may also provide your own to <LogRiver persist={...}>:
+ * {
+ *   getItem: async (storageKey) => Array|null,
+ *   setItem: async (storageKey, events) => void,
+ *   removeItem: async (storageKey) => void,
+ *   keys: async () => string[]
+ * }
+ * The storage keys hold the id of the tab which persisted the events (see generateStoredAtomKey()), & keys() only lists those.
+ * Note: localStorage serializes to JSON, so `metadata.time` is rehydrated as an ISO string instead of a Date.
+ *
+ * @param {Storage} storage - A Web Storage object (default: window.localStorage)
+ * @returns {Object} The storage backend
+ */
+export const createLocalStorageBackend = (storage = typeof window === 'undefined'? null : window.localStorage) => ({
+    name: 'localStorage',
+    getItem: async atomKey => {
+        let raw = storage.getItem(atomKey)
+        return raw === null? null : JSON.parse(raw)
+    },
+    setItem: async (atomKey, events = []) => {
+        if (Array.isArray(events) && events.length > 0) storage.setItem(atomKey, JSON.stringify(events))
+        else storage.removeItem(atomKey)
+    },
+    removeItem: async atomKey => storage.removeItem(atomKey),
+    keys: async () => {
+        let keys = []
+        for (let i = 0; i < storage.length; i++) keys.push(storage.key(i))
+        return keys.filter(storageKey => parseStoredAtomKey(storageKey) !== null)
+    }
+})
+//
+/**
+ * IndexedDB version of the storage backend (see createLocalStorageBackend).
+ * Events are stored with the structured clone algorithm, so Date objects are kept as they are.
+ *
+ * @param {string} dbName - Name of the IndexedDB database
+ * @param {string} storeName - Name of the object store holding the event logs
+ * @returns {Object} The storage backend
+ */
+export const createIndexedDBBackend = (dbName = packageName, storeName = 'pending-events') => {
+    let dbPromise = null
+    const openDB = () => dbPromise = dbPromise || new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(dbName, 1)
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName)
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    })
+    /**Run a single request against the object store & resolve with its result */
+    const run = (mode, operation) => openDB().then(db => new Promise((resolve, reject) => {
+        const request = operation(db.transaction(storeName, mode).objectStore(storeName))
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    }))
+    return {
+        name: 'indexedDB',
+        getItem: atomKey => run('readonly', store => store.get(atomKey)).then(events => events === undefined? null : events),
+        setItem: (atomKey, events = []) => run('readwrite', store => 
+            Array.isArray(events) && events.length > 0? store.put(events, atomKey) : store.delete(atomKey)
+        ),
+        removeItem: atomKey => run('readwrite', store => store.delete(atomKey)),
+        keys: () => run('readonly', store => store.getAllKeys()).then(keys => keys.filter(storageKey => parseStoredAtomKey(storageKey) !== null))
+    }
+}
+//
+/**Takes the <LogRiver persist> prop and returns a storage backend (or null when not persisting) */
+const resolveStorageBackend = persist => {
+    const hasWindow = typeof window !== 'undefined'
+    if (isObject(persist) && ['getItem', 'setItem', 'removeItem', 'keys'].every(method => typeof persist[method] === 'function')) return persist
+    if (persist === 'indexedDB' && hasWindow && window.indexedDB) return createIndexedDBBackend()
+    if ((persist === true || persist === 'localStorage' || persist === 'indexedDB') && hasWindow && window.localStorage) return createLocalStorageBackend()
+    return null
+}
+
+
+/* Redaction (2) */
+
+/**Metadata fields the library adds itself, which an allow list always keeps */
+const libraryMetadataFields = ['time', 'timeUnix', 'timeISO', 'path', 'href', 'userId', 'tenant', 'appVersion', 'buildSha', 'dimensions', 'sessionId', 'eventId', 'sequence', 'sampleRate', 'invalid']
+//
+/**Scrubbers for <LogRiver redact={{scrub: [...]}}> by name */
+const builtInScrubbers = {
+    email: {pattern: /[\w.+-]+@[\w-]+(\.[\w-]+)+/g, replacement: '[email]'},
+    /**13 to 19 digits, optionally grouped by spaces or dashes, which pass the Luhn check */
+    card: {
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        replacement: match => {
+            let digits = match.replace(/\D/g, '')
+            let sum = digits.split('').reverse().reduce((total, digit, i) => {
+                let value = Number(digit) * (i % 2 === 1? 2 : 1)
+                return total + (value > 9? value - 9 : value)
+            }, 0)
+            return sum % 10 === 0? '[card]' : match
+        }
+    },
+    jwt: {pattern: /\beyJ[\w-]+\.[\w-]+\.[\w-]*/g, replacement: '[jwt]'}
+}
+//
+/**
+ * Create a function which removes personal data from an event, to use as <LogRiver redact={...}> or on its own (e.g. in tests):
+ *    const redact = createRedactor({deny: ['data.password'], hash: ['data.email']})
+ *    redact({code: 'signup', data: {email: 'me@example.com', password: 'hunter2'}})
+ * 
+ * Field paths are dot-separated, and `*` matches any single field or array index.
+ * Hashing is a quick pseudonymization so values can still be grouped by; it is not cryptographic.
+ * 
+ * @param {Object} options - See redactDefaults
+ * @returns {Function} event => The redacted copy of the event
+ */
+export const createRedactor = (options = {}) => {
+    const config = {...redactDefaults, ...isObject(options)? options : {}}
+    const toPaths = (paths = []) => (Array.isArray(paths)? paths : [paths]).map(path => `${path}`.split('.'))
+    const deny = toPaths(config.deny)
+    const hash = toPaths(config.hash)
+    const urlFields = toPaths(config.urlFields)
+    const allow = Array.isArray(config.allow)? toPaths([...config.allow, 'code', 'level', ...libraryMetadataFields.map(field => `metadata.${field}`)]) : null
+    /**The ids, times & numbers the library adds aren't scrubbed (the card pattern could take an eventId apart), unlike the page's url */
+    const unscrubbed = toPaths(libraryMetadataFields.filter(field => !['path', 'href'].includes(field)).map(field => `metadata.${field}`))
+    const scrubbers = (config.scrub || [])
+        .map(scrubber => typeof scrubber === 'string'? builtInScrubbers[scrubber] : scrubber)
+        .filter(scrubber => isObject(scrubber) && scrubber.pattern instanceof RegExp)
+    //
+    /**Compare a path to patterns: 'exact', 'ancestor' (path leads to a pattern) or 'descendant' (path is inside a pattern) */
+    const pathMatches = (patterns, path, relations = ['exact']) => patterns.some(pattern => {
+        let shared = Math.min(pattern.length, path.length)
+        for (let i = 0; i < shared; i++) if (pattern[i] !== '*' && pattern[i] !== `${path[i]}`) return false
+        let relation = pattern.length === path.length? 'exact' : pattern.length > path.length? 'ancestor' : 'descendant'
+        return relations.includes(relation)
+    })
+    const hashValue = value => {
+        let string = `${config.hashSalt}${JSON.stringify(value)}`
+        return `${hashString(string).toString(16).padStart(8, '0')}${hashString(`${string}${config.hashSalt}:`).toString(16).padStart(8, '0')}`
+    }
+    const stripUrl = url => {
+        if (config.stripQueryParams === true) return url.split(/[?#]/)[0]
+        if (!Array.isArray(config.stripQueryParams)) return url
+        try {
+            let parsed = new URL(url)
+            config.stripQueryParams.forEach(name => parsed.searchParams.delete(name))
+            return parsed.toString()
+        } catch (error) {
+            return url
+        }
+    }
+    const scrub = string => scrubbers.reduce((result, {pattern, replacement = '[redacted]'}) => result.replace(pattern, replacement), string)
+    //
+    const REMOVE = Symbol('remove')
+    const isPlainObject = value => isObject(value) && [Object.prototype, null].includes(Object.getPrototypeOf(value))
+    const walk = (value, path) => {
+        if (path.length > 0) {
+            if (pathMatches(deny, path)) return REMOVE
+            if (allow && !pathMatches(allow, path, ['exact', 'ancestor', 'descendant'])) return REMOVE
+            if (pathMatches(hash, path)) return value === null || value === undefined? value : hashValue(value)
+        }
+        if (typeof value === 'string') {
+            if (path.length === 1 && ['code', 'level'].includes(path[0])) return value
+            if (pathMatches(unscrubbed, path, ['exact', 'descendant'])) return value
+            return scrub(pathMatches(urlFields, path)? stripUrl(value) : value)
+        }
+        if (Array.isArray(value)) return value.map((item, i) => walk(item, [...path, i])).filter(item => item !== REMOVE)
+        if (isPlainObject(value)) return Object.entries(value).reduce((all, [field, item]) => {
+            let result = walk(item, [...path, field])
+            return result === REMOVE? all : {...all, [field]: result}
+        }, {})
+        return value
+    }
+    return event => walk(event, [])
+}
+
+
+/* Plugins (3) */
+
+/**
+ * Plugins of a <LogRiver plugins={[...]}> which have a hook & apply to a log key, in their order. A plugin looks like:
+ * {
+ *   name: string,
+ *   keys: string|string[]|null,              // Log keys the plugin applies to, null for every key
+ *   beforeLog: (event, key) => event|null,   // Transform an event, or drop it by returning null/false
+ *   beforeSend: (batch, key) => batch|null,  // Transform a batch (may be async), or drop it by returning null/false
+ *   afterSend: (result) => void,             // The result of every send attempt (see sendEventLogBatch)
+ *   onError: (error, context) => void        // Failed sends & errors thrown by the plugins' own hooks
+ * }
+ * Returning undefined or true from beforeLog or beforeSend leaves the event or batch as it is.
+ */
+const pluginsWithHook = (plugins = [], key = defaultKey, hook = 'beforeLog') => (Array.isArray(plugins)? plugins : [])
+    .filter(plugin => isObject(plugin) && typeof plugin[hook] === 'function' && ruleMatches(plugin.keys, key))
+//
+/**Tell every plugin of a log key about an error. Errors thrown by onError itself are only logged (through the internal logger). */
+const reportPluginError = (plugins = [], key = defaultKey, error = null, context = {}, logger = internalLoggerDefaults) => {
+    if (context.hook !== 'send') internalLog(logger, 'error', `Plugin "${context.plugin}" failed in ${context.hook}()`, error)
+    pluginsWithHook(plugins, key, 'onError').forEach(plugin => {
+        try {
+            plugin.onError(error, {key, ...context})
+        } catch (onErrorError) {
+            internalLog(logger, 'error', `Plugin "${plugin.name}" failed in onError()`, onErrorError)
+        }
+    })
+}
+//
+/**Run an event through the beforeLog hooks of the plugins. A plugin which throws is skipped. */
+const runBeforeLogPlugins = (plugins = [], key = defaultKey, event = {}, logger = internalLoggerDefaults) => pluginsWithHook(plugins, key, 'beforeLog').reduce((current, plugin) => {
+    if (current === null) return null
+    try {
+        const result = plugin.beforeLog(current, key)
+        return result === undefined || result === true? current : result === null || result === false? null : result
+    } catch (error) {
+        reportPluginError(plugins, key, error, {hook: 'beforeLog', plugin: plugin.name, event: current}, logger)
+        return current
+    }
+}, event)
+
+
+/* Schemas (3) */
+
+/**The type of a value as schemas name them: 'string' | 'number' | 'boolean' | 'object' | 'array' | 'date' | 'null' | 'undefined' | ... */
+const schemaTypeOf = value => value === null? 'null' : Array.isArray(value)? 'array' : value instanceof Date? 'date' : typeof value
+//
+/**The schema of a key & code: the key's own before '*', & the code's own before '*'. knownKey tells whether the key has schemas at all. */
+const findSchema = (schemas = schemaDefaults, key = defaultKey, code = undefined) => {
+    const byKey = [schemas.keys[key], schemas.keys['*']].filter(isObject)
+    for (const codes of byKey) {
+        if (isObject(codes[code])) return {schema: codes[code], knownKey: true}
+        if (isObject(codes['*'])) return {schema: codes['*'], knownKey: true}
+    }
+    return {schema: null, knownKey: byKey.length > 0}
+}
+//
+/**
+ * Check an event against the schema of its key & code. Fields are dot-separated paths into the event, each with a spec:
+ * a type ('string', 'number', 'boolean', 'object', 'array', 'date', 'null' or 'any'), an array of types, or {type, values}
+ * to also limit the allowed values:
+ *    {required: {'data.amount': 'number', 'data.currency': {type: 'string', values: ['EUR', 'USD']}}, optional: {info: ['string', 'null']}}
+ * Violations name the field & rule but never hold the offending value, as it may be personal data.
+ * 
+ * @param {Object} schemas - See schemaDefaults
+ * @param {string} key - The log key
+ * @param {Object} event - The event, once metadata was added
+ * @param {*} eventProvided - What was passed to log(), to catch values which aren't events at all
+ * @returns {Object[]} Violations: {path, rule: 'malformed'|'unknown-code'|'required'|'type'|'values', expected, received}
+ */
+const validateEvent = (schemas = schemaDefaults, key = defaultKey, event = {}, eventProvided = undefined) => {
+    let violations = []
+    if (!isObject(eventProvided) && !['string', 'number', 'boolean'].includes(typeof eventProvided)) violations.push({
+        path: '',
+        rule: 'malformed',
+        expected: 'object|string|number|boolean',
+        received: schemaTypeOf(eventProvided)
+    })
+    const {schema, knownKey} = findSchema(schemas, key, event.code)
+    if (!schema) {
+        if (knownKey && schemas.strictCodes) violations.push({path: 'code', rule: 'unknown-code', expected: null, received: null})
+        return violations
+    }
+    const valueAt = path => `${path}`.split('.').reduce((value, field) => value === null || value === undefined? undefined : value[field], event)
+    const check = (path, spec) => {
+        const {type = 'any', values = null} = isObject(spec)? spec : {type: spec}
+        const types = Array.isArray(type)? type : [type]
+        const value = valueAt(path)
+        const received = schemaTypeOf(value)
+        if (!types.includes('any') && !types.includes(received)) violations.push({path, rule: 'type', expected: types.join('|'), received})
+        else if (Array.isArray(values) && !values.includes(value)) violations.push({path, rule: 'values', expected: values, received})
+    }
+    Object.entries(isObject(schema.required)? schema.required : {}).forEach(([path, spec]) => {
+        if (valueAt(path) === undefined) violations.push({path, rule: 'required', expected: null, received: 'undefined'})
+        else check(path, spec)
+    })
+    Object.entries(isObject(schema.optional)? schema.optional : {}).forEach(([path, spec]) => {
+        if (valueAt(path) !== undefined) check(path, spec)
+    })
+    return violations
+}
+
+
+/* Queue limits (2) */
+
+/**The estimated size of an event in bytes (the length of its JSON), remembered per event */
+const eventSizes = new WeakMap()
+const estimateEventBytes = event => {
+    if (!isObject(event)) return `${event}`.length
+    if (!eventSizes.has(event)) {
+        let size
+        try {
+            size = JSON.stringify(event).length
+        } catch (error) {
+            size = 0
+        }
+        eventSizes.set(event, size)
+    }
+    return eventSizes.get(event)
+}
+//
+/**
+ * Trim a queue (oldest first) to its limits with an overflow policy
+ * @param {Object[]} events - The queue
+ * @param {Object} limit - {maxEvents, maxBytes, overflow} (see queueLimitDefaults)
+ * @returns {Object} {kept, dropped, droppedBytes}
+ */
+const trimQueue = (events = [], {maxEvents = null, maxBytes = null, overflow = 'drop-oldest'} = {}) => {
+    let count = events.length
+    let bytes = maxBytes === null? 0 : events.reduce((total, event) => total + estimateEventBytes(event), 0)
+    const over = () => (maxEvents !== null && count > maxEvents) || (maxBytes !== null && bytes > maxBytes)
+    if (!over()) return {kept: events, dropped: [], droppedBytes: 0}
+    let kept = [...events]
+    if (overflow === 'sample') while (kept.length > 0 && over()) {
+        /**Every other event goes, keeping the newest of each pair */
+        kept = kept.length > 1? kept.filter((event, i) => (kept.length - 1 - i) % 2 === 0) : []
+        count = kept.length
+        bytes = maxBytes === null? 0 : kept.reduce((total, event) => total + estimateEventBytes(event), 0)
+    }
+    else while (kept.length > 0 && over()) {
+        const event = overflow === 'drop-newest'? kept.pop() : kept.shift()
+        count -= 1
+        bytes -= maxBytes === null? 0 : estimateEventBytes(event)
+    }
+    const keptEvents = new Set(kept)
+    const dropped = events.filter(event => !keptEvents.has(event))
+    return {kept, dropped, droppedBytes: dropped.reduce((total, event) => total + estimateEventBytes(event), 0)}
+}
+
+
+/**The jotai atoms (50) */
+//
+/**Instances of log batch senders which look over multiple Log key's */
+const logDriversAtom = atom([])
+//
+/**Store all keys here */
+const eventLogsAtom = atom([])
+//
+/**Paused event log keys: {[key]: {pauseLogging, pauseSending}} */
+const eventLogsPausedAtom = atom({})
+//
+/**The least severe level of the events each log key takes in, '*' for every key without its own: {[key | '*']: level} */
+const eventLogMinLevelsAtom = atom({})
+//
+/**Derived atom for changing the minimum level of log keys ('*' for every key without its own). A null level removes it. */
+const eventLogMinLevelSetterAtom = atom(
+    null,
+    (get, set, {keys = [], level = null}) => {
+        const {logger} = get(logRiverConfigAtom)
+        internalLog(logger, 'debug', 'eventLogMinLevelSetterAtom.set()', {keys, level})
+        if (level !== null && levelRank(level) === -1) {
+            internalLog(logger, 'warn', `"${level}" is not a level, use one of ${logLevels.join(', ')} (or null)`)
+            return
+        }
+        set(eventLogMinLevelsAtom, current => keys.reduce((minLevels, key) => {
+            const {[key]: previous, ...rest} = minLevels
+            return level === null? rest : {...rest, [key]: level}
+        }, current))
+    }
+)
+//
+/**The props of <LogRiver> which configure how events are handled (see logRiverConfigDefaults) */
+const logRiverConfigAtom = atom(logRiverConfigDefaults)
+//
+/**The log context which is stamped onto every event's metadata (see logContextDefaults) */
+const eventLogContextAtom = atom(logContextDefaults)
+//
+/**Where pending events are persisted to (set by <LogRiver persist>), or null when only kept in memory */
+const eventLogStorageAtom = atom(null)
+//
+/**Store objects here (intending logged events). Every change is written through to the storage backend, if there is one. */
+const eventLogPendingSendAtomFamily = atomFamily(atomKey => {
+    const eventsAtom = atom([])
+    return atom(
+        (get) => get(eventsAtom),
+        (get, set, events) => {
+            events = typeof events === 'function'? events(get(eventsAtom)) : events
+            set(eventsAtom, events)
+            const storage = get(eventLogStorageAtom)
+            const {logger} = get(logRiverConfigAtom)
+            if (storage) storage.setItem(atomKey, events || []).catch(error => {
+                internalLog(logger, 'error', `Could not persist ${atomKey}`, error)
+            })
+        }
+    )
+})
+//
+/**Derived atom for adding event keys */
+const eventLogKeyAdderAtom = atom(
+    null,
+    (get, set, keys = [defaultKey]) => {
+        const current = get(eventLogsAtom)
+        /**Keys are added on every event logged, so the list only changes (& re-renders) for a new one */
+        if (keys.every(key => current.includes(key))) return
+        set(eventLogsAtom, [...new Set([...current, ...keys])])
+    }
+)
+//
+/**Whether a batch of a log key is being sent right now */
+const eventLogSendingAtomFamily = atomFamily(() => atom(false))
+//
+/**Failed sending attempts of the current batch of a log key, when the next one is scheduled, & the batch itself, so the retry sends it again as it was */
+const eventLogRetryAtomFamily = atomFamily(() => atom({
+    attempts: 0,
+    nextAttemptAt: null,
+    lastError: null,
+    timeoutId: null,
+    batchId: null,
+    batchEvents: []
+}))
+//
+/**
+ * This tab's part in multi-tab coordination: {tabId, role: null | 'electing' | 'leader' | 'follower', leaderId, forward}.
+ * The role stays null unless <LogRiver multiTab> is enabled.
+ */
+const eventLogTabsAtom = atom({tabId: null, role: null, leaderId: null, forward: null})
+//
+/**The send function registered by the main instance of each log key: {[key]: () => Promise<Object>} */
+const eventLogSendersAtom = atom({})
+//
+/**The prepFn of the sender of each log key, for batches that are sent without it (see flushEventLogsOnUnload): {[key]: Function} */
+const eventLogSenderPrepFnsAtom = atom({})
+//
+/**When the main instance of each log key checks its queue next: {[key]: {timeInterval, pendingSendMax, nextCheckAt}} */
+const eventLogScheduleAtom = atom({})
+//
+/**The result of the last batch of a log key which went anywhere (sent, forwarded or failed), with its time: {...result, at} */
+const eventLogLastSendAtomFamily = atomFamily(() => atom(null))
+//
+/**Batches which failed every attempt, per log key: [{batch, error, attempts, failedAt}] */
+const eventLogDeadLetterAtomFamily = atomFamily(() => atom([]))
+//
+/**Counters of the sampling rules: first-N counts (kept for the browser session) and token buckets */
+const eventLogSamplingStateAtom = atom({counts: null, buckets: {}})
+//
+/**
+ * Derived atom for applying the <LogRiver sampling> rules to an event.
+ * Every matching rule has to keep the event. The rates which were applied are multiplied into metadata.sampleRate, so the server can reweight counts.
+ * @returns {Object|null} The event to log, or null when it was sampled out or rate limited
+ */
+const eventLogSamplerAtom = atom(
+    null,
+    (get, set, {key, event}) => {
+        const rules = get(logRiverConfigAtom).sampling
+        if (!Array.isArray(rules) || rules.length === 0) return event
+        //
+        const sessionCountsKey = `${packageName}:sampling`
+        let state = get(eventLogSamplingStateAtom)
+        let counts = {...state.counts || JSON.parse((typeof sessionStorage !== 'undefined' && sessionStorage.getItem(sessionCountsKey)) || '{}')}
+        /**With <LogRiver session>, first-N counts start over with every session */
+        const sessionId = event.metadata && event.metadata.sessionId
+        if (sessionId) counts = Object.fromEntries(Object.entries(counts).filter(([counterKey]) => counterKey.startsWith(`${sessionId}:`)))
+        let buckets = {...state.buckets}
+        let keep = true, sampleRate = 1, now = (get(logRiverConfigAtom).clock || systemClock).now()
+        rules.forEach((rawRule, i) => {
+            const rule = {...samplingRuleDefaults, ...rawRule}
+            if (!keep || !ruleMatches(rule.key, key) || !ruleMatches(rule.code, event.code)) return
+            const counterKey = `${i}:${key}:${event.code}`
+            if (rule.rate < 1) {
+                const userId = event.metadata && event.metadata.userId
+                const roll = rule.by === 'userId' && userId !== null && userId !== undefined
+                    ? hashString(`${userId}:${key}:${event.code}`) / 0x100000000
+                    : Math.random()
+                keep = roll < rule.rate
+                sampleRate *= rule.rate
+            }
+            if (keep && Number.isFinite(rule.firstN)) {
+                const countKey = sessionId? `${sessionId}:${counterKey}` : counterKey
+                counts[countKey] = (counts[countKey] || 0) + 1
+                keep = counts[countKey] <= rule.firstN
+            }
+            if (keep && isObject(rule.rateLimit)) {
+                const {capacity = 1, refillPerSecond = 1} = rule.rateLimit
+                const bucket = buckets[counterKey] || {tokens: capacity, updatedAt: now}
+                const tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * refillPerSecond)
+                keep = tokens >= 1
+                buckets[counterKey] = {tokens: keep? tokens - 1 : tokens, updatedAt: now}
+            }
+        })
+        set(eventLogSamplingStateAtom, {counts, buckets})
+        try {
+            if (typeof sessionStorage !== 'undefined') sessionStorage.setItem(sessionCountsKey, JSON.stringify(counts))
+        } catch (error) {
+            internalLog(get(logRiverConfigAtom).logger, 'debug', 'Could not keep the sampling counts in sessionStorage', error)
+        }
+        if (!keep) {
+            internalLog(get(logRiverConfigAtom).logger, 'debug', `"${key}" event sampled out`, event.code)
+            return null
+        }
+        return sampleRate < 1? {...event, metadata: {...event.metadata, sampleRate}} : event
+    }
+)
+//
+/**The current session {id, startedAt, lastActivityAt, ended} when <LogRiver session> is enabled */
+const eventLogSessionAtom = atom(null)
+//
+/**Where the session is kept between reloads (and shared between tabs, with localStorage) */
+const sessionStorageFor = (config = sessionDefaults) => {
+    if (typeof window === 'undefined') return null
+    return isObject(config.storage)? config.storage : config.storage === 'sessionStorage'? window.sessionStorage : window.localStorage
+}
+const sessionStorageKey = `${packageName}:session`
+//
+/**Derived atom for ending the current session, logging session_end to the session key */
+const eventLogSessionEndAtom = atom(
+    null,
+    (get, set, reason = 'timeout') => {
+        const config = get(logRiverConfigAtom).session
+        const storage = config && sessionStorageFor(config)
+        let session = (storage && JSON.parse(storage.getItem(sessionStorageKey) || 'null')) || get(eventLogSessionAtom)
+        if (!config || !session || session.ended) return
+        internalLog(get(logRiverConfigAtom).logger, 'debug', 'eventLogSessionEndAtom.set()', reason, session)
+        session = {...session, ended: true}
+        set(eventLogSessionAtom, session)
+        if (storage) storage.setItem(sessionStorageKey, JSON.stringify(session))
+        set(eventLogPendingAdderAtomFamily(config.key), {
+            code: 'session_end',
+            data: {
+                sessionId: session.id,
+                startedAt: session.startedAt,
+                endedAt: session.lastActivityAt,
+                duration: session.lastActivityAt - session.startedAt,
+                reason
+            }
+        }, {session})
+    }
+)
+//
+/**
+ * Derived atom for registering activity in the session. It ends an expired session, starts a new one when needed
+ * (logging session_start to the session key) & moves lastActivityAt forward.
+ * @returns {Object|null} The current session, or null when <LogRiver session> isn't enabled
+ */
+const eventLogSessionTouchAtom = atom(
+    null,
+    (get, set, now = undefined) => {
+        const config = get(logRiverConfigAtom).session
+        if (!config) return null
+        if (now === undefined) now = (get(logRiverConfigAtom).clock || systemClock).now()
+        const storage = sessionStorageFor(config)
+        /**The stored session is the most recent one, as another tab may have moved it along */
+        let session = (storage && JSON.parse(storage.getItem(sessionStorageKey) || 'null')) || get(eventLogSessionAtom)
+        let reason = !session? 'new' : session.ended || now - session.lastActivityAt > config.timeout? 'timeout' : 'midnight'
+        if (session && !session.ended && sessionExpired(session, now, config)) {
+            set(eventLogSessionAtom, session)
+            set(eventLogSessionEndAtom, reason)
+            session = get(eventLogSessionAtom)
+        }
+        if (!session || session.ended) {
+            const previousSessionId = session? session.id : null
+            session = {id: generateId(), startedAt: now, lastActivityAt: now, ended: false}
+            set(eventLogSessionAtom, session)
+            if (storage) storage.setItem(sessionStorageKey, JSON.stringify(session))
+            set(eventLogPendingAdderAtomFamily(config.key), {
+                code: 'session_start',
+                data: {sessionId: session.id, startedAt: session.startedAt, previousSessionId, reason}
+            }, {session})
+            /**session_start took the first sequence number */
+            session = get(eventLogSessionAtom)
+        }
+        session = {...session, lastActivityAt: Math.max(now, session.lastActivityAt)}
+        set(eventLogSessionAtom, session)
+        if (storage) storage.setItem(sessionStorageKey, JSON.stringify(session))
+        return session
+    }
+)
+//
+/**The last sequence number of each log key in this page load, for events logged without a session: {[key]: number} */
+const eventLogSequencesAtom = atom({})
+//
+/**
+ * Derived atom for the next sequence number of a log key's events. With <LogRiver session> the numbers count per session & key,
+ * and are kept with the session, so reloads & other tabs carry on from there. Otherwise they count per page load & key, starting over at 1
+ * on every load with nothing to tell the loads apart, so the server can only find gaps & order events within a session.
+ * @returns {number} The sequence number, from 1
+ */
+const eventLogSequenceAtom = atom(
+    null,
+    (get, set, {key = defaultKey, session = null}) => {
+        if (!session) {
+            const sequence = (get(eventLogSequencesAtom)[key] || 0) + 1
+            set(eventLogSequencesAtom, current => ({...current, [key]: sequence}))
+            return sequence
+        }
+        const config = get(logRiverConfigAtom).session
+        const storage = config && sessionStorageFor(config)
+        const stored = storage && JSON.parse(storage.getItem(sessionStorageKey) || 'null')
+        const latest = get(eventLogSessionAtom)
+        /**The stored session is the most recent one, as another tab may have counted along */
+        const current = stored && stored.id === session.id? stored : latest && latest.id === session.id? latest : session
+        const sequence = ((current.sequences || {})[key] || 0) + 1
+        const updated = {...current, sequences: {...current.sequences || {}, [key]: sequence}}
+        if (latest && latest.id === session.id) set(eventLogSessionAtom, updated)
+        if (stored && stored.id === session.id) storage.setItem(sessionStorageKey, JSON.stringify(updated))
+        return sequence
+    }
+)
+//
+/**The route reported by usePageViewRoute(): {pathname, template} */
+const eventLogRouteAtom = atom(null)
+//
+/**The page being viewed {path, template, title, enteredAt} & the navigation waiting to be logged {path, pathname, navigationType} */
+const eventLogPageViewAtom = atom({current: null, pending: null})
+//
+/**Derived atom for noting a navigation, which eventLogPageViewFlushAtom then logs. Returns false when the page didn't change. */
+const eventLogPageViewNavigateAtom = atom(
+    null,
+    (get, set, navigationType = 'push') => {
+        const config = get(logRiverConfigAtom).pageViews
+        if (!config) return false
+        const {current, pending} = get(eventLogPageViewAtom)
+        const path = currentPagePath(config)
+        if (path === (pending? pending.path : current && current.url)) return false
+        /**The page still waiting for its route was viewed nonetheless */
+        if (pending) set(eventLogPageViewFlushAtom)
+        set(eventLogPageViewAtom, {current: get(eventLogPageViewAtom).current, pending: {path, pathname: window.location.pathname, navigationType}})
+        return true
+    }
+)
+//
+/**
+ * Derived atom for logging the pending navigation as a page_view event.
+ * With fromRoute, it only logs once usePageViewRoute() has reported the route of the pending navigation.
+ */
+const eventLogPageViewFlushAtom = atom(
+    null,
+    (get, set, {fromRoute = false} = {}) => {
+        const config = get(logRiverConfigAtom).pageViews
+        const {current, pending} = get(eventLogPageViewAtom)
+        if (!config || !pending) return
+        const route = get(eventLogRouteAtom)
+        const routeMatches = Boolean(route) && route.pathname === pending.pathname
+        if (fromRoute && !routeMatches) return
+        const now = (get(logRiverConfigAtom).clock || systemClock).now()
+        /**With a route template, the page is recorded as the template rather than the concrete url (no ids in the path) */
+        const page = {
+            url: pending.path,
+            path: (routeMatches && route.template) || pending.path,
+            template: (routeMatches && route.template) || null,
+            title: typeof document === 'undefined'? null : document.title,
+            enteredAt: now
+        }
+        set(eventLogPageViewAtom, {current: page, pending: null})
+        set(eventLogPendingAdderAtomFamily(config.key), {
+            code: config.code,
+            data: {
+                path: page.path,
+                route: page.template,
+                previousPath: current? current.path : null,
+                referrer: current? `${window.location.origin}${current.path}` : (document.referrer || null),
+                timeOnPreviousPage: current? now - current.enteredAt : null,
+                title: page.title,
+                navigationType: pending.navigationType
+            }
+        })
+    }
+)
+//
+/**Errors seen recently, by fingerprint: {[fingerprint]: {loggedAt, suppressed}} */
+const eventLogErrorSeenAtom = atom({})
+//
+/**
+ * Derived atom for logging a captured error through the queue of a key. An error with a fingerprint logged within
+ * the dedupe window is only counted, & the count goes with its next event as data.suppressed.
+ * @returns {boolean} Whether the error was logged
+ */
+const eventLogErrorAdderAtom = atom(
+    null,
+    (get, set, {key = errorCaptureDefaults.key, error = null, source = 'boundary', componentStack = null, data = {}}) => {
+        const {code, dedupeWindow} = {...errorCaptureDefaults, ...get(logRiverConfigAtom).captureErrors || {}}
+        const errorData = {...serializeError(error), componentStack}
+        const fingerprint = errorFingerprint(errorData)
+        const now = (get(logRiverConfigAtom).clock || systemClock).now()
+        const seen = Object.fromEntries(Object.entries(get(eventLogErrorSeenAtom)).filter(([, {loggedAt}]) => now - loggedAt < dedupeWindow))
+        const previous = get(eventLogErrorSeenAtom)[fingerprint]
+        if (seen[fingerprint]) {
+            set(eventLogErrorSeenAtom, {...seen, [fingerprint]: {...seen[fingerprint], suppressed: seen[fingerprint].suppressed + 1}})
+            internalLog(get(logRiverConfigAtom).logger, 'debug', `"${key}" duplicate error suppressed`, fingerprint)
+            return false
+        }
+        set(eventLogErrorSeenAtom, {...seen, [fingerprint]: {loggedAt: now, suppressed: 0}})
+        set(eventLogPendingAdderAtomFamily(key), {
+            code,
+            level: 'error',
+            info: errorData.message,
+            data: {...isObject(data)? data : {}, ...errorData, source, fingerprint, suppressed: previous? previous.suppressed : 0}
+        })
+        return true
+    }
+)
+//
+/**Recent schema violations of each log key, in the shape of useLoggerSender().errors */
+const eventLogValidationErrorsAtomFamily = atomFamily(() => atom([]))
+//
+/**Derived atom for recording the schema violations of an event */
+const eventLogValidationErrorAtom = atom(
+    null,
+    (get, set, {key, event, violations = []}) => {
+        const {onInvalid, invalidKey, maxErrors} = get(logRiverConfigAtom).schemas || schemaDefaults
+        const error = {
+            code: 'INVALID_EVENT',
+            msg: `"${key}" event "${event.code}" doesn't match its schema: ${violations.map(({path, rule}) => `${path || '(event)'} ${rule}`).join(', ')}`
+                + (onInvalid === 'drop'? ' (dropped)' : onInvalid === 'route'? ` (routed to "${invalidKey}")` : ''),
+            key,
+            eventCode: event.code,
+            violations,
+            action: onInvalid,
+            time: (get(logRiverConfigAtom).clock || systemClock).now()
+        }
+        internalLog(get(logRiverConfigAtom).logger, 'warn', error.msg, violations)
+        set(eventLogValidationErrorsAtomFamily(key), current => [...current, error].slice(-maxErrors))
+    }
+)
+//
+/**The events of each key the sendFn rejected for good (the newest maxRejections) */
+const eventLogRejectionsAtomFamily = atomFamily(() => atom([]))
+//
+/**Derived atom for recording the events a sendFn rejected for good, as errors */
+const eventLogRejectionAtom = atom(
+    null,
+    (get, set, {key, batchId = null, rejections = []}) => {
+        if (rejections.length === 0) return
+        const time = (get(logRiverConfigAtom).clock || systemClock).now()
+        const errors = rejections.map(({event, reason = null}) => ({
+            code: 'REJECTED_EVENT',
+            msg: `"${key}" event "${event.code}" was rejected${reason === null? '' : `: ${typeof reason === 'string'? reason : JSON.stringify(reason)}`}`,
+            key,
+            eventId: isObject(event.metadata)? event.metadata.eventId : undefined,
+            eventCode: event.code,
+            reason,
+            batchId,
+            event,
+            time
+        }))
+        errors.forEach(error => internalLog(get(logRiverConfigAtom).logger, 'warn', error.msg))
+        set(eventLogRejectionsAtomFamily(key), current => [...current, ...errors].slice(-maxRejections))
+    }
+)
+//
+/**Events dropped by the queue limits of each key since the last queue_overflow report: {[key]: {dropped, droppedBytes, since, reasons}} */
+const eventLogOverflowAtom = atom({})
+//
+/**
+ * Derived atom for holding the queues of a key (and then all of them together) to <LogRiver limits>. Events are dropped from
+ * both partitions by identity, so a batch being sent settles as usual. Dropped events are counted for the next queue_overflow report.
+ */
+const eventLogQueueLimitAtom = atom(
+    null,
+    (get, set, key = defaultKey) => {
+        const limits = get(logRiverConfigAtom).limits
+        if (!limits) return
+        const partitions = queueKey => [true, false].map(logNormal => eventLogPendingSendAtomFamily(generateEventLogAtomKey(queueKey, logNormal)))
+        const queue = queueKey => partitions(queueKey).flatMap(pendingAtom => get(pendingAtom) || [])
+        const limitOf = queueKey => ({
+            maxEvents: limits.maxEvents,
+            maxBytes: limits.maxBytes,
+            overflow: limits.overflow,
+            ...isObject(limits.keys) && isObject(limits.keys[queueKey])? limits.keys[queueKey] : {}
+        })
+        const drop = (queueKey, {dropped, droppedBytes}, reason) => {
+            if (dropped.length === 0) return
+            const droppedEvents = new Set(dropped)
+            partitions(queueKey).forEach(pendingAtom => set(pendingAtom, (get(pendingAtom) || []).filter(event => !droppedEvents.has(event))))
+            const current = get(eventLogOverflowAtom)[queueKey] || {dropped: 0, droppedBytes: 0, since: (get(logRiverConfigAtom).clock || systemClock).now(), reasons: []}
+            set(eventLogOverflowAtom, overflow => ({...overflow, [queueKey]: {
+                dropped: current.dropped + dropped.length,
+                droppedBytes: current.droppedBytes + droppedBytes,
+                since: current.since,
+                reasons: [...new Set([...current.reasons, reason])]
+            }}))
+            internalLog(get(logRiverConfigAtom).logger, 'debug', `"${queueKey}" queue overflow (${reason}), ${dropped.length} event(s) dropped`)
+        }
+        drop(key, trimQueue(queue(key), limitOf(key)), 'key')
+        /**Over the total, the biggest queue gives way (with its own overflow policy) until everything fits */
+        if (limits.totalEvents === null && limits.totalBytes === null) return
+        for (let i = 0; i < get(eventLogsAtom).length; i++) {
+            const queues = get(eventLogsAtom).map(queueKey => {
+                const events = queue(queueKey)
+                return {queueKey, events, bytes: limits.totalBytes === null? 0 : events.reduce((total, event) => total + estimateEventBytes(event), 0)}
+            })
+            const excessEvents = limits.totalEvents === null? 0 : queues.reduce((total, {events}) => total + events.length, 0) - limits.totalEvents
+            const excessBytes = limits.totalBytes === null? 0 : queues.reduce((total, {bytes}) => total + bytes, 0) - limits.totalBytes
+            if (excessEvents <= 0 && excessBytes <= 0) return
+            const biggest = queues.sort((a, b) => excessEvents > 0? b.events.length - a.events.length : b.bytes - a.bytes)[0]
+            drop(biggest.queueKey, trimQueue(biggest.events, {
+                maxEvents: excessEvents > 0? Math.max(biggest.events.length - excessEvents, 0) : null,
+                maxBytes: excessBytes > 0? Math.max(biggest.bytes - excessBytes, 0) : null,
+                overflow: limitOf(biggest.queueKey).overflow
+            }), 'total')
+        }
+    }
+)
+//
+/**
+ * Derived atom for adding a queue_overflow event to the front of a key's normal partition when the limits dropped events of it,
+ * so the loss itself goes out with the next batch. The report gets metadata, redaction & a sequence number, but isn't sampled, validated or limited.
+ * A batch waiting to be retried stays at the front as it was (keeping its batchId), and the report goes out with the batch after it.
+ */
+const eventLogOverflowReportAtom = atom(
+    null,
+    (get, set, key = defaultKey) => {
+        const overflow = get(eventLogOverflowAtom)[key]
+        if (!overflow) return
+        const {limits, redact, clock} = get(logRiverConfigAtom)
+        set(eventLogOverflowAtom, ({[key]: reported, ...rest}) => rest)
+        let event = addEventMetadata({
+            code: (limits && limits.overflowCode) || queueLimitDefaults.overflowCode,
+            level: 'warn',
+            data: {key, ...overflow, until: (clock || systemClock).now(), policy: limits? limits.overflow : null}
+        }, get(eventLogContextAtom), get(eventLogSessionAtom))
+        if (typeof redact === 'function') event = redact(event)
+        const session = get(logRiverConfigAtom).session? get(eventLogSessionAtom) : null
+        event = {...event, metadata: {...event.metadata, sequence: set(eventLogSequenceAtom, {key, session})}}
+        const normalAtom = eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, true))
+        const normal = get(normalAtom) || []
+        const {batchId, batchEvents} = get(eventLogRetryAtomFamily(key))
+        const retrying = batchId !== null && batchEvents.length > 0 && batchEvents.every((queued, i) => normal[i] === queued)
+        const at = retrying? batchEvents.length : 0
+        set(normalAtom, [...normal.slice(0, at), event, ...normal.slice(at)])
+    }
+)
+//
+/**
+ * Derived atom for adding events to pending send. While a batch is being sent, new events wait in the temp partition.
+ * The session's own events are stamped with the session they belong to (options.session), instead of registering activity.
+ * options.eventProvided is the raw value passed to log(), when eventProvided was built from it.
+ */
+const eventLogPendingAdderAtomFamily = atomFamily((key = defaultKey) => 
+    atom(
+        (get) => get(eventLogPendingSendAtomFamily(generateEventLogAtomKey(key))),
+        (get, set, eventProvided, options = {}) => {
+            /**A key jammed for logging takes nothing in */
+            if (isPaused(get(eventLogsPausedAtom), key, 'logging')) {
+                internalLog(get(logRiverConfigAtom).logger, 'debug', `"${key}" is jammed for logging, event dropped`, eventProvided)
+                return
+            }
+            /**Neither do events below the key's minimum level, before they touch the session or take a sequence number */
+            if (belowMinLevel(get(eventLogMinLevelsAtom), key, sanitizeRawEvent(eventProvided))) {
+                internalLog(get(logRiverConfigAtom).logger, 'trace', `"${key}" event below the minimum level, dropped`, eventProvided)
+                return
+            }
+            const {plugins, redact, schemas, logger} = get(logRiverConfigAtom)
+            const session = options.session || set(eventLogSessionTouchAtom)
+            let event = runBeforeLogPlugins(plugins, key, addEventMetadata(sanitizeRawEvent(eventProvided), get(eventLogContextAtom), session), logger)
+            if (event === null) return
+            /**Events which don't match their schema are only warned about, dropped, or queued in the invalid key instead */
+            let queueKey = key
+            const violations = schemas? validateEvent(schemas, key, event, 'eventProvided' in options? options.eventProvided : eventProvided) : []
+            if (violations.length > 0) {
+                set(eventLogValidationErrorAtom, {key, event, violations})
+                if (schemas.onInvalid === 'drop') return
+                if (schemas.onInvalid === 'route') {
+                    queueKey = schemas.invalidKey
+                    event = {...event, metadata: {...event.metadata, invalid: {key, violations}}}
+                }
+            }
+            event = set(eventLogSamplerAtom, {key: queueKey, event})
+            if (event === null) return
+            /**Nothing leaves this atom (into state or storage) without being redacted */
+            if (typeof redact === 'function') event = redact(event)
+            /**Only events which are queued are numbered, so a gap on the server means events went missing */
+            event = {...event, metadata: {...event.metadata, sequence: set(eventLogSequenceAtom, {key: queueKey, session})}}
+            /**Whoever logged it (a hook, the driver, the session, page views, error capture...), a queued key is a known key, so sending all, flushing on unload, total limits & snapshots include it */
+            set(eventLogKeyAdderAtom, [queueKey])
+            const atomKey = generateEventLogAtomKey(queueKey, !get(eventLogSendingAtomFamily(queueKey)))
+            const current = get(eventLogPendingSendAtomFamily(atomKey)) || []
+            set(eventLogPendingSendAtomFamily(atomKey), [
+                ...current,
+                event
+            ])
+            set(eventLogQueueLimitAtom, queueKey)
+        }
+    )
+)
+//
+/**Derived atom for queueing events which already went through eventLogPendingAdderAtomFamily, in another tab */
+const eventLogQueueAtom = atom(
+    null,
+    (get, set, {key, events = []}) => {
+        set(eventLogKeyAdderAtom, [key])
+        const atomKey = generateEventLogAtomKey(key, !get(eventLogSendingAtomFamily(key)))
+        set(eventLogPendingSendAtomFamily(atomKey), [...get(eventLogPendingSendAtomFamily(atomKey)) || [], ...events])
+        set(eventLogQueueLimitAtom, key)
+    }
+)
+//
+/**
+ * Derived atom for settling a batch after sending it.
+ * Events which arrived in the temp partition during the send are always merged back behind whatever is left in the normal partition:
+ * - Success: the batch is removed
+ * - Failure: the batch stays at the front for the next attempt, or moves to the dead-letter queue after retry.maxAttempts
+ * - Partial success (retryEvents): only the events the sendFn asked to retry stay, as a batch of their own with a new batchId
+ * @returns {Object} {attempts, deadLettered, nextAttemptAt}
+ */
+const eventLogSendSettleAtom = atom(
+    null,
+    (get, set, {key, batch = [], batchId = null, error = null, retryEvents = null, retry = defaultParam.retry}) => {
+        internalLog(get(logRiverConfigAtom).logger, 'debug', 'eventLogSendSettleAtom.set()', {key, batchId, error})
+        const normalAtom = eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, true))
+        const tempAtom = eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, false))
+        const retryAtom = eventLogRetryAtomFamily(key)
+        const clock = get(logRiverConfigAtom).clock || systemClock
+        //
+        /**The events to try again: the whole batch when sending failed, or the ones a partial result asked for */
+        let failed = Array.isArray(retryEvents)? retryEvents : error !== null? batch : []
+        let attempts = failed.length === 0? 0 : get(retryAtom).attempts + 1
+        let deadLettered = failed.length > 0 && attempts >= retry.maxAttempts
+        /**Errors may say they aren't worth retrying, or when to retry (see LogTransportError) */
+        if (failed.length > 0 && isObject(error) && error.retryable === false) deadLettered = true
+        let delay = isObject(error) && Number.isFinite(error.retryAfter)? Math.min(error.retryAfter, retry.maxDelay) : retryDelay(attempts, retry)
+        let nextAttemptAt = failed.length > 0 && !deadLettered? clock.now() + delay : null
+        /**The normal partition is compared by identity, so events put back into it during the send are kept */
+        let failedEvents = new Set(failed)
+        let doneEvents = new Set(batch.filter(event => deadLettered || !failedEvents.has(event)))
+        let keepNormal = (get(normalAtom) || []).filter(event => !doneEvents.has(event))
+        //
+        set(normalAtom, [...keepNormal, ...get(tempAtom) || []])
+        set(tempAtom, [])
+        if (deadLettered) {
+            const {limits} = get(logRiverConfigAtom)
+            const maxDeadLetters = limits && Number.isFinite(limits.maxDeadLetters)? limits.maxDeadLetters : null
+            const deadLetters = [...get(eventLogDeadLetterAtomFamily(key)), {batch: failed, batchId, error, attempts, failedAt: clock.now()}]
+            set(eventLogDeadLetterAtomFamily(key), maxDeadLetters === null? deadLetters : deadLetters.slice(Math.max(deadLetters.length - maxDeadLetters, 0)))
+        }
+        const retrying = failed.length > 0 && !deadLettered
+        set(retryAtom, {
+            attempts: deadLettered? 0 : attempts,
+            nextAttemptAt,
+            lastError: error,
+            timeoutId: null,
+            /**What's left of a partial batch is another batch, the server may already have seen the first batchId */
+            batchId: !retrying? null : Array.isArray(retryEvents)? generateId() : batchId,
+            batchEvents: retrying? failed : []
+        })
+        set(eventLogSendingAtomFamily(key), false)
+        return {attempts, deadLettered, nextAttemptAt}
+    }
+)
+//
+/**Derived atom for ending a send which didn't go anywhere (no attempt is counted): the batch stays & the temp partition merges back behind it */
+const eventLogSendReleaseAtom = atom(
+    null,
+    (get, set, key = defaultKey) => {
+        const normalAtom = eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, true))
+        const tempAtom = eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, false))
+        set(normalAtom, [...get(normalAtom) || [], ...get(tempAtom) || []])
+        set(tempAtom, [])
+        set(eventLogSendingAtomFamily(key), false)
+    }
+)
+//
+/**Derived atom for removing specific events (compared by identity) from both partitions of a log key */
+const eventLogRemoverAtom = atom(
+    null,
+    (get, set, {key, events = []}) => {
+        let removeEvents = new Set(events)
+        ;[true, false].forEach(logNormal => {
+            const pendingAtom = eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, logNormal))
+            set(pendingAtom, (get(pendingAtom) || []).filter(event => !removeEvents.has(event)))
+        })
+    }
+)
+//
+/**Derived atom for restoring persisted events. Anything left in either partition was never sent, so it all goes back into the normal partition. */
+const eventLogRehydrateAtom = atom(
+    null,
+    (get, set, {storage, stored = {}}) => {
+        internalLog(get(logRiverConfigAtom).logger, 'debug', 'eventLogRehydrateAtom.set()', stored)
+        /**Group the stored partitions by log key */
+        let leftovers = Object.entries(stored).reduce((all, [atomKey, events]) => {
+            let parsed = parseEventLogAtomKey(atomKey)
+            if (!parsed || !Array.isArray(events)) return all
+            let current = all[parsed.key] || {normal: [], temp: []}
+            return {
+                ...all,
+                [parsed.key]: {...current, [parsed.logNormal? 'normal' : 'temp']: events}
+            }
+        }, {})
+        /**From here on, every change gets persisted */
+        set(eventLogStorageAtom, storage)
+        Object.entries(leftovers).forEach(([key, {normal, temp}]) => {
+            const normalAtom = eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, true))
+            const tempAtom = eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, false))
+            set(normalAtom, [...normal, ...temp, ...get(normalAtom) || []])
+            set(tempAtom, get(tempAtom) || [])
+        })
+        set(eventLogKeyAdderAtom, Object.keys(leftovers))
+        Object.keys(leftovers).forEach(key => set(eventLogQueueLimitAtom, key))
+    }
+)
+//
+/**Derived atom for log driver commands */
+const eventLogDriverAtom = atom(
+    null,
+    (get, set, param) => {
+        internalLog(get(logRiverConfigAtom).logger, 'debug', 'eventLogDriverAtom.set()', param)
+        switch (param.type) {
+            /**Pause 'logging' and/or 'sending' of keys */
+            case 'jam':
+            /**Resume 'logging' and/or 'sending' of keys (all jammed keys when none provided) */
+            case 'drive':
+                const current = get(eventLogsPausedAtom)
+                const jam = param.type === 'jam'
+                const what = Array.isArray(param.prevent)? param.prevent : [param.prevent]
+                const next = {...current}
+                ;(jam || param.keys.length > 0? param.keys : Object.keys(current)).forEach(key => {
+                    const state = {
+                        ...next[key] || {pauseLogging: false, pauseSending: false},
+                        ...what.includes('logging')? {pauseLogging: jam} : {},
+                        ...what.includes('sending')? {pauseSending: jam} : {}
+                    }
+                    if (state.pauseLogging || state.pauseSending) next[key] = state
+                    else delete next[key]
+                })
+                set(eventLogsPausedAtom, next)
+                break;
+            /**Put dead-lettered batches back in front of their normal partition, so they're sent again */
+            case 'replay':
+                param.keys.forEach(key => {
+                    const normalAtom = eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, true))
+                    const replay = get(eventLogDeadLetterAtomFamily(key)).flatMap(({batch}) => batch)
+                    if (replay.length === 0) return
+                    set(normalAtom, [...replay, ...get(normalAtom) || []])
+                    set(eventLogDeadLetterAtomFamily(key), [])
+                    set(eventLogQueueLimitAtom, key)
+                })
+                break;
+            case 'drop':
+                param.keys.forEach(key => set(eventLogDeadLetterAtomFamily(key), []))
+                break;
+            default: break;
+        }
+    }
+)
+//
+/**Derived atom for clearing event logs */
+const eventLogClearerAtom = atom(
+    null,
+    (get, set, key = undefined) => {
+        internalLog(get(logRiverConfigAtom).logger, 'debug', 'eventLogClearerAtom', key)
+        if (typeof key === 'string' && key.length > 0) {
+            set(eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, true)), [])
+            set(eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, false)), [])
+        }
+    }
+)
+//
+/**atomFamily compares its params by reference, so arrays of keys need this to get the same atom on every render */
+const sameKeys = (a = [], b = []) => a.length === b.length && a.every((key, i) => key === b[i])
+//
+/**Derived atom for getting logs by keys */
+const eventLogsGetterAtomFamily = atomFamily((logKeys = []) => 
+    atom((get) => 
+        logKeys.reduce((all, key) => ({
+            ...all,
+            [key]: [
+                ...get(eventLogPendingSendAtomFamily(generateEventLogAtomKey(key))) || [],
+                ...get(eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, false))) || []
+            ]
+        }), {})
+    ),
+    sameKeys
+)
+//
+/**Derived atom for getting dead-lettered batches by keys */
+const eventLogDeadLettersGetterAtomFamily = atomFamily((logKeys = []) => 
+    atom((get) => 
+        logKeys.reduce((all, key) => ({
+            ...all,
+            [key]: get(eventLogDeadLetterAtomFamily(key))
+        }), {})
+    ),
+    sameKeys
+)
+//
+/**Derived atom for getting the rejected events by keys */
+const eventLogRejectionsGetterAtomFamily = atomFamily((logKeys = []) => 
+    atom((get) => 
+        logKeys.reduce((all, key) => ({
+            ...all,
+            [key]: get(eventLogRejectionsAtomFamily(key))
+        }), {})
+    ),
+    sameKeys
+)
+//
+/**Everything about every log key at once, for the subscribers of createLogDriver(): {keys, logs, paused, sending, deadLetters, rejected, minLevels} */
+const eventLogSnapshotAtom = atom((get) => {
+    const keys = get(eventLogsAtom)
+    return {
+        keys,
+        logs: get(eventLogsGetterAtomFamily(keys)),
+        paused: get(eventLogsPausedAtom),
+        sending: keys.filter(key => get(eventLogSendingAtomFamily(key))),
+        deadLetters: get(eventLogDeadLettersGetterAtomFamily(keys)),
+        rejected: get(eventLogRejectionsGetterAtomFamily(keys)),
+        minLevels: get(eventLogMinLevelsAtom)
+    }
+})
+
+
+/* Sending (6) */
+
+/**
+ * Read the result of a sendFn which only took part of a batch: {accepted, rejected, retry}. Each is a list of eventIds,
+ * indexes into the batch the sendFn was given, or objects {eventId | index, reason}. Events which are neither rejected nor
+ * to be retried count as accepted, so `accepted` is optional. `retryAfter` (milliseconds) may say when to retry.
+ * 
+ * @param {*} result - What the sendFn resolved with
+ * @param {Object[]} prepared - The batch the sendFn was given (after prepFn & the plugins)
+ * @param {Object[]} batch - The queued events of the batch
+ * @returns {Object|null} {rejected: [{event, reason}], retry: [events], retryAfter}, or null for a result which isn't partial
+ */
+const readPartialResult = (result = undefined, prepared = [], batch = []) => {
+    if (!isObject(result) || !(Array.isArray(result.rejected) || Array.isArray(result.retry))) return null
+    const eventIdOf = event => isObject(event) && isObject(event.metadata)? event.metadata.eventId : undefined
+    const byEventId = new Map(batch.filter(event => eventIdOf(event) !== undefined).map(event => [eventIdOf(event), event]))
+    /**An index finds the event by the eventId of what was sent, or by position when prepFn & the plugins kept the batch as it was */
+    const aligned = Array.isArray(prepared) && prepared.length === batch.length
+    const find = item => {
+        const ref = isObject(item)? ('eventId' in item? item.eventId : item.index) : item
+        if (typeof ref !== 'number') return byEventId.get(ref)
+        const sent = Array.isArray(prepared)? prepared[ref] : undefined
+        return byEventId.get(eventIdOf(sent)) || (aligned? batch[ref] : undefined)
+    }
+    const rejected = (Array.isArray(result.rejected)? result.rejected : [])
+        .map(item => ({event: find(item), reason: isObject(item) && 'reason' in item? item.reason : null}))
+        .filter(({event}, i, all) => event !== undefined && all.findIndex(other => other.event === event) === i)
+    const rejectedEvents = new Set(rejected.map(({event}) => event))
+    const retryEvents = new Set((Array.isArray(result.retry)? result.retry : []).map(find))
+    return {
+        rejected,
+        /**In the order of the batch, so they go out again at the front of the queue */
+        retry: batch.filter(event => retryEvents.has(event) && !rejectedEvents.has(event)),
+        retryAfter: Number.isFinite(result.retryAfter)? result.retryAfter : null
+    }
+}
+//
+
+/**
+ * Send the normal partition of a log key as one batch, and retry it with exponential backoff when it fails.
+ * This works on the jotai store directly (not a component's render), so timers never send a stale batch.
+ * 
+ * @param {Object} store - The jotai store of the <LogRiver>
+ * @param {string} key - The log key
+ * @param {Object} options
+ * @param {Function} options.run - Async function which sends the prepared batch: (batch, {key, batchId, attempt})
+ * @param {Function} options.prepFn - Prepares the batch before sending
+ * @param {Object} options.retry - See defaultParam.retry
+ * @param {Function} options.onRejected - See defaultParam.onRejected
+ * The batch goes through the beforeSend hooks of the plugins after prepFn, and every attempt's result goes to their afterSend hooks.
+ * With <LogRiver multiTab>, a follower tab forwards the batch as it is to the leader tab instead (before prepFn & the plugins).
+ * Every batch gets a batchId for the server to deduplicate with. A retry sends the failed batch again as it was, with the same batchId,
+ * and the events logged since then wait for the next batch.
+ * A sendFn may accept only part of a batch (see readPartialResult()): the events it rejected for good are dropped & recorded
+ * as errors (and handed to onRejected), and the ones it asked to retry stay queued & are retried like a failed batch.
+ * @returns {Promise<Object>} {key, status: 'sent'|'partial'|'forwarded'|'follower'|'filtered'|'empty'|'busy'|'jammed'|'retrying'|'dead-lettered', count, error, batchId}
+ *   A 'partial' result also counts the events which were accepted, rejected & retrying.
+ */
+const sendEventLogBatch = async (store, key, {run, prepFn = defaultParam.prepFn, retry = defaultParam.retry, onRejected = defaultParam.onRejected}) => {
+    if (store.get(eventLogSendingAtomFamily(key))) return {key, status: 'busy', count: 0, error: null}
+    const clock = store.get(logRiverConfigAtom).clock || systemClock
+    /**A send replaces any retry that is already scheduled */
+    const retryState = store.get(eventLogRetryAtomFamily(key))
+    if (retryState.timeoutId !== null) {
+        clock.clearTimeout(retryState.timeoutId)
+        store.set(eventLogRetryAtomFamily(key), {...retryState, timeoutId: null})
+    }
+    /**Jammed keys keep their events until they're driven again */
+    if (isPaused(store.get(eventLogsPausedAtom), key, 'sending')) return {key, status: 'jammed', count: 0, error: null}
+    /**Events the queue limits dropped are reported with the batch */
+    store.set(eventLogOverflowReportAtom, key)
+    const queued = store.get(eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, true))) || []
+    const {batchEvents} = retryState
+    const repeat = retryState.batchId !== null && batchEvents.length > 0 && batchEvents.length <= queued.length && batchEvents.every((event, i) => queued[i] === event)
+    const batch = repeat? queued.slice(0, batchEvents.length) : queued
+    const batchId = repeat? retryState.batchId : generateId()
+    if (batch.length === 0) return {key, status: 'empty', count: 0, error: null}
+    /**Only the leader tab sends, the others hand their events over to it. Without a leader (yet), they're kept. */
+    const tabs = store.get(eventLogTabsAtom)
+    if (tabs.role !== null && tabs.role !== 'leader') {
+        if (tabs.role !== 'follower' || tabs.leaderId === null) return {key, status: 'follower', count: 0, error: null}
+        store.set(eventLogSendingAtomFamily(key), true)
+        if (await tabs.forward(key, batch)) {
+            store.set(eventLogSendSettleAtom, {key, batch, retry})
+            store.set(eventLogLastSendAtomFamily(key), {key, status: 'forwarded', count: batch.length, error: null, at: clock.now()})
+            return {key, status: 'forwarded', count: batch.length, error: null}
+        }
+        store.set(eventLogSendReleaseAtom, key)
+        return {key, status: 'follower', count: 0, error: null}
+    }
+    store.set(eventLogSendingAtomFamily(key), true)
+    const {plugins, logger} = store.get(logRiverConfigAtom)
+    let result
+    try {
+        let prepared = prepFn(batch)
+        for (const plugin of pluginsWithHook(plugins, key, 'beforeSend')) {
+            if (prepared === null) break
+            try {
+                const transformed = await plugin.beforeSend(prepared, key)
+                prepared = transformed === undefined || transformed === true? prepared : transformed === null || transformed === false? null : transformed
+            } catch (error) {
+                reportPluginError(plugins, key, error, {hook: 'beforeSend', plugin: plugin.name, batch: prepared}, logger)
+            }
+        }
+        /**A batch the plugins dropped counts as done */
+        let filtered = prepared === null || (Array.isArray(prepared) && prepared.length === 0)
+        const partial = filtered? null : readPartialResult(await run(prepared, {key, batchId, attempt: retryState.attempts + 1}), prepared, batch)
+        if (partial === null) {
+            store.set(eventLogSendSettleAtom, {key, batch, batchId, retry})
+            result = {key, status: filtered? 'filtered' : 'sent', count: batch.length, error: null, batchId}
+        } else {
+            const {rejected, retry: retryEvents, retryAfter} = partial
+            const error = retryEvents.length === 0? null : {
+                code: 'PARTIAL_RETRY',
+                msg: `${retryEvents.length} of ${batch.length} "${key}" events have to be sent again`,
+                retryAfter
+            }
+            const {attempts, deadLettered, nextAttemptAt} = store.set(eventLogSendSettleAtom, {key, batch, batchId, error, retryEvents, retry})
+            store.set(eventLogRejectionAtom, {key, batchId, rejections: rejected})
+            if (rejected.length > 0 && typeof onRejected === 'function') {
+                try {
+                    onRejected(rejected, {key, batchId})
+                } catch (callbackError) {
+                    internalLog(logger, 'error', 'onRejected() threw', callbackError)
+                }
+            }
+            if (error !== null && !deadLettered) {
+                const timeoutId = clock.setTimeout(() => sendEventLogBatch(store, key, {run, prepFn, retry, onRejected}), nextAttemptAt - clock.now())
+                store.set(eventLogRetryAtomFamily(key), current => ({...current, timeoutId}))
+            }
+            result = {
+                key,
+                status: 'partial',
+                count: batch.length,
+                accepted: batch.length - rejected.length - retryEvents.length,
+                rejected: rejected.length,
+                retrying: deadLettered? 0 : retryEvents.length,
+                deadLettered: deadLettered? retryEvents.length : 0,
+                error,
+                batchId
+            }
+            if (error !== null) internalLog(logger, 'warn', `${error.msg} (attempt ${attempts} of ${retry.maxAttempts})`)
+        }
+    } catch (error) {
+        const {attempts, deadLettered, nextAttemptAt} = store.set(eventLogSendSettleAtom, {key, batch, batchId, error, retry})
+        internalLog(logger, 'error', `Sending "${key}" failed (attempt ${attempts} of ${retry.maxAttempts})`, error)
+        if (deadLettered) result = {key, status: 'dead-lettered', count: batch.length, error, batchId}
+        else {
+            const timeoutId = clock.setTimeout(() => sendEventLogBatch(store, key, {run, prepFn, retry, onRejected}), nextAttemptAt - clock.now())
+            store.set(eventLogRetryAtomFamily(key), current => ({...current, timeoutId}))
+            result = {key, status: 'retrying', count: batch.length, error, batchId}
+        }
+        reportPluginError(plugins, key, error, {hook: 'send', batch, attempts, status: result.status}, logger)
+    }
+    store.set(eventLogLastSendAtomFamily(key), {...result, at: clock.now()})
+    pluginsWithHook(plugins, key, 'afterSend').forEach(plugin => {
+        try {
+            plugin.afterSend(result)
+        } catch (error) {
+            reportPluginError(plugins, key, error, {hook: 'afterSend', plugin: plugin.name, result}, logger)
+        }
+    })
+    return result
+}
+//
+/**
+ * Send the pending events of many log keys, each through the send function registered for its key.
+ * A key which is already sending is waited for, then sent again so nothing logged in the meantime is left behind.
+ * A key is sent batch after batch (a batch waiting to be retried goes first, on its own) until every event which was pending
+ * when this was called has gone, or a batch doesn't go through.
+ * 
+ * @param {Object} store - The jotai store of the <LogRiver>
+ * @param {string[]} keys - The log keys to send
+ * @returns {Promise<Object>} Results by key: {[key]: {key, success, status, count, error}}, the result of the last batch with the count of every batch
+ *   status is one of 'sent' | 'partial' | 'forwarded' | 'follower' | 'filtered' | 'empty' | 'jammed' | 'retrying' | 'dead-lettered' | 'inactive' | 'no-sender' | 'failed'
+ */
+const sendAllEventLogs = async (store, keys = []) => {
+    const senders = store.get(eventLogSendersAtom)
+    /**Resolves once the batch of a key which is being sent has settled */
+    const whenIdle = key => new Promise(resolve => {
+        if (!store.get(eventLogSendingAtomFamily(key))) return resolve()
+        const unsubscribe = store.sub(eventLogSendingAtomFamily(key), () => {
+            if (store.get(eventLogSendingAtomFamily(key))) return
+            unsubscribe()
+            resolve()
+        })
+    })
+    const pendingOf = key => [
+        ...store.get(eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, true))) || [],
+        ...store.get(eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, false))) || []
+    ]
+    const results = await Promise.all([...new Set(keys)].map(async key => {
+        const pending = pendingOf(key)
+        if (typeof senders[key] !== 'function') return {
+            key,
+            status: 'no-sender',
+            count: pending.length,
+            error: {code: 'NO_SENDER', msg: `No useLoggerSender() main instance with a sendFn is mounted for "${key}"`}
+        }
+        try {
+            await whenIdle(key)
+            const flushing = new Set(pendingOf(key))
+            const remaining = () => pendingOf(key).filter(event => flushing.has(event)).length
+            let result = null, count = 0
+            do {
+                const before = remaining()
+                result = await senders[key]()
+                count += result.count || 0
+                /**Stop at a batch which didn't go through (it's retried as usual), or one which took none of these events */
+                if (!['sent', 'partial', 'forwarded', 'filtered'].includes(result.status) || result.error || remaining() >= before) break
+            } while (remaining() > 0)
+            return {...result, count}
+        } catch (error) {
+            return {key, status: 'failed', count: pending.length, error}
+        }
+    }))
+    internalLog(store.get(logRiverConfigAtom).logger, 'debug', 'sendAllEventLogs()', results)
+    return results.reduce((all, result) => ({
+        ...all,
+        [result.key]: {...result, success: ['sent', 'partial', 'forwarded', 'filtered', 'empty'].includes(result.status)}
+    }), {})
+}
+//
+/**The log keys which have a sender, for sending every key without reporting the others as 'no-sender' */
+const keysWithSenders = (store, keys = []) => {
+    const senders = store.get(eventLogSendersAtom)
+    return keys.filter(key => typeof senders[key] === 'function')
+}
+//
+/**
+ * Make a send function the sender of a log key: sendAll() reaches it, and it sends by itself once
+ * - pendingSendMax events are pending
+ * - the interval has passed (timeInterval, kept within schedule.minInterval & schedule.maxInterval)
+ * - an event has waited schedule.maxAge milliseconds
+ * With schedule.adaptive, the interval shrinks from maxInterval towards minInterval as the queue fills up,
+ * and grows by how much slower than schedule.targetLatency the recent sends were.
+ * Failed batches wait for their retry, jammed keys to be driven, and (with schedule.pauseOffline) offline browsers to be back online.
+ * useLoggerSender() main instances & createLogDriver().addSender() both attach their senders with this.
+ * 
+ * @param {Object} store - The jotai store of the <LogRiver> or log driver
+ * @param {string} key - The log key
+ * @param {Object} options
+ * @param {Function} options.send - (overrideLogic) => Promise of a sendEventLogBatch() result
+ * @param {number} options.pendingSendMax - See defaultParam
+ * @param {number} options.timeInterval - See defaultParam
+ * @param {Object} options.schedule - See defaultParam.schedule
+ * @param {Function} options.prepFn - The prepFn of send, which the unload flush applies too
+ * @returns {Function} Detaches the sender, and cancels its scheduled retry
+ */
+const attachEventLogSender = (store, key, {send, pendingSendMax = defaultParam.pendingSendMax, timeInterval = defaultParam.timeInterval, schedule = defaultParam.schedule, prepFn = defaultParam.prepFn}) => {
+    const clock = store.get(logRiverConfigAtom).clock || systemClock
+    const normalAtom = eventLogPendingSendAtomFamily(generateEventLogAtomKey(key))
+    const tempAtom = eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, false))
+    const {interval, minInterval, maxInterval, maxAge, adaptive, targetLatency, pauseOffline} = sanitizeScheduleParam(schedule, timeInterval)
+    const offline = () => pauseOffline && typeof navigator !== 'undefined' && navigator.onLine === false
+    const pendingCount = () => (store.get(normalAtom) || []).length
+    //
+    /**When each pending event arrived, for maxAge */
+    const arrivedAt = new WeakMap()
+    const recordArrivals = () => [normalAtom, tempAtom].forEach(partitionAtom => (store.get(partitionAtom) || []).forEach(event => {
+        if (!arrivedAt.has(event)) arrivedAt.set(event, clock.now())
+    }))
+    const oldestArrival = () => (store.get(normalAtom) || []).reduce((oldest, event) => {
+        const time = arrivedAt.has(event)? arrivedAt.get(event) : clock.now()
+        return oldest === null || time < oldest? time : oldest
+    }, null)
+    //
+    /**How long recent sends took (a moving average), for adaptive intervals */
+    let latency = null
+    const measuredSend = overrideLogic => {
+        const startedAt = clock.now()
+        return Promise.resolve(send(overrideLogic)).then(result => {
+            if (isObject(result) && ['sent', 'partial', 'retrying', 'dead-lettered'].includes(result.status)) {
+                const took = clock.now() - startedAt
+                latency = latency === null? took : Math.round(latency * 0.7 + took * 0.3)
+            }
+            return result
+        })
+    }
+    //
+    /**Check & Send */
+    const check = (intervalElapsed = false) => {
+        internalLog(store.get(logRiverConfigAtom).logger, 'trace', `"${key}" check`, {intervalElapsed})
+        /**A failed batch waits for its scheduled retry, a jammed key waits to be driven & an offline browser to be back */
+        if (store.get(eventLogRetryAtomFamily(key)).timeoutId !== null) return
+        if (isPaused(store.get(eventLogsPausedAtom), key, 'sending')) return
+        if (offline()) return
+        const pending = pendingCount()
+        const expired = maxAge !== null && pending > 0 && clock.now() - oldestArrival() >= maxAge
+        if (pending >= pendingSendMax || expired || (intervalElapsed === true && pending > 0)) measuredSend()
+    }
+    //
+    /**The wait between time-based sends right now */
+    const currentInterval = () => {
+        if (interval === null) return null
+        if (offline()) return maxInterval
+        if (!adaptive) return interval
+        const fill = Math.min(pendingCount() / Math.max(pendingSendMax, 1), 1)
+        const slowdown = latency !== null && latency > targetLatency? latency / targetLatency : 1
+        return Math.round(Math.min(Math.max((maxInterval - (maxInterval - minInterval) * fill) * slowdown, minInterval), maxInterval))
+    }
+    /**Set the timer for whatever is due first: the interval or the oldest event's maxAge */
+    let timeoutId = null, scheduledAt = null, intervalDueAt = null, detached = false
+    const plan = () => {
+        if (detached) return
+        const now = clock.now()
+        const wait = currentInterval()
+        /**The interval keeps counting as events arrive, but adaptive intervals may bring it forward */
+        if (wait !== null && (intervalDueAt === null || now + wait < intervalDueAt)) intervalDueAt = now + wait
+        const oldest = maxAge !== null && pendingCount() > 0? oldestArrival() : null
+        const dueAt = [intervalDueAt, oldest === null? null : oldest + maxAge]
+            .filter(time => time !== null)
+            .reduce((first, time) => first === null || time < first? time : first, null)
+        if (dueAt !== scheduledAt) {
+            clock.clearTimeout(timeoutId)
+            timeoutId = dueAt === null? null : clock.setTimeout(() => {
+                timeoutId = null
+                scheduledAt = null
+                const intervalElapsed = intervalDueAt !== null && clock.now() >= intervalDueAt
+                if (intervalElapsed) intervalDueAt = null
+                check(intervalElapsed)
+                plan()
+            }, Math.max(dueAt - now, 0))
+            scheduledAt = dueAt
+        }
+        /**Keep the schedule where <LogRiverInspector> can show it */
+        store.set(eventLogScheduleAtom, current => ({...current, [key]: {
+            timeInterval,
+            pendingSendMax,
+            nextCheckAt: scheduledAt,
+            interval: wait,
+            maxAge,
+            latency,
+            offline: offline()
+        }}))
+    }
+    //
+    /**Register the sender of this key, so sendAll() can reach it from anywhere */
+    const registeredSend = () => measuredSend(true)
+    store.set(eventLogSendersAtom, senders => ({...senders, [key]: registeredSend}))
+    store.set(eventLogSenderPrepFnsAtom, prepFns => ({...prepFns, [key]: prepFn}))
+    /**Queue changes are checked once the current write is done, e.g. after a failed send has scheduled its retry */
+    let checkQueued = false
+    const queueCheck = () => {
+        recordArrivals()
+        if (checkQueued) return
+        checkQueued = true
+        queueMicrotask(() => {
+            checkQueued = false
+            if (detached) return
+            check()
+            plan()
+        })
+    }
+    const unsubscribers = [store.sub(normalAtom, queueCheck), store.sub(tempAtom, queueCheck), store.sub(eventLogsPausedAtom, queueCheck)]
+    /**Send what piled up while offline once the browser is back */
+    const onOnline = () => {
+        check(pendingCount() > 0)
+        plan()
+    }
+    const watchesConnection = pauseOffline && typeof window !== 'undefined'
+    if (watchesConnection) {
+        window.addEventListener('online', onOnline)
+        window.addEventListener('offline', plan)
+    }
+    recordArrivals()
+    check()
+    plan()
+    return () => {
+        detached = true
+        clock.clearTimeout(timeoutId)
+        unsubscribers.forEach(unsubscribe => unsubscribe())
+        if (watchesConnection) {
+            window.removeEventListener('online', onOnline)
+            window.removeEventListener('offline', plan)
+        }
+        if (store.get(eventLogSendersAtom)[key] === registeredSend) {
+            store.set(eventLogSendersAtom, ({[key]: removed, ...senders}) => senders)
+            store.set(eventLogSenderPrepFnsAtom, ({[key]: removed, ...prepFns}) => prepFns)
+        }
+        store.set(eventLogScheduleAtom, ({[key]: removed, ...current}) => current)
+        /**Don't retry on behalf of a detached sender */
+        const {timeoutId: retryTimeoutId} = store.get(eventLogRetryAtomFamily(key))
+        if (retryTimeoutId !== null) {
+            clock.clearTimeout(retryTimeoutId)
+            store.set(eventLogRetryAtomFamily(key), current => ({...current, timeoutId: null}))
+        }
+    }
+}
+//
+/**
+ * Hand every pending event of every log key to the browser while the page is being hidden or torn down.
+ * The normal async sendFn can't finish at that point, so the events go to a separate endpoint with navigator.sendBeacon(),
+ * or fetch() with keepalive. Each request body is {batchId, logs}: logs is an object of events by key (the same shape as useLogDriver().logs).
+ * The events of each key go through the prepFn of its sender and the beforeSend hooks of the plugins first, like a batch sendFn is given.
+ * Those have to answer right away: a key whose batch a hook only resolves later stays in its queue.
+ * 
+ * The requests are split into chunks of at most config.maxBytes, and stop at config.maxTotalBytes altogether, since browsers refuse
+ * beacons & keepalive requests past about 64KiB in flight. What doesn't fit stays in its queue, and so does an event bigger than a chunk on its own.
+ * When prepFn or the plugins change the number of events in a batch, the key's batch is handed off whole or not at all.
+ * 
+ * Events are removed from their queues once sendBeacon() has taken them over. A keepalive request can still fail after the page is gone,
+ * so its events stay queued (and persisted) until the response is ok, and are skipped by the flushes meanwhile (through inFlight).
+ * Either way a batch that is being sent at the same time may arrive twice, which the batchId of the normal send tells apart.
+ * Keys jammed for sending are left alone.
+ * 
+ * @param {Object} store - The jotai store of the <LogRiver>
+ * @param {Object} config - See unloadFlushDefaults
+ * @param {Set} inFlight - The events of keepalive requests which haven't answered yet, kept from one flush to the next
+ * @returns {Object} {sent, kept} counts of events
+ */
+const flushEventLogsOnUnload = (store, config = unloadFlushDefaults, inFlight = new Set()) => {
+    const {plugins, logger} = store.get(logRiverConfigAtom)
+    const prepFns = store.get(eventLogSenderPrepFnsAtom)
+    const encoder = new TextEncoder()
+    const byteLength = value => encoder.encode(JSON.stringify(value)).length
+    const isThenable = value => value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function'
+    let kept = 0
+    //
+    /**Prepare the events of a key like a batch: null when they're dropped, undefined when they have to wait for the next send */
+    const prepare = (key, batch) => {
+        let prepared = (typeof prepFns[key] === 'function'? prepFns[key] : defaultParam.prepFn)(batch)
+        if (isThenable(prepared)) return undefined
+        for (const plugin of pluginsWithHook(plugins, key, 'beforeSend')) {
+            if (prepared === null) break
+            try {
+                const transformed = plugin.beforeSend(prepared, key)
+                if (isThenable(transformed)) {
+                    transformed.catch(() => {})
+                    return undefined
+                }
+                prepared = transformed === undefined || transformed === true? prepared : transformed === null || transformed === false? null : transformed
+            } catch (error) {
+                reportPluginError(plugins, key, error, {hook: 'beforeSend', plugin: plugin.name, batch: prepared}, logger)
+            }
+        }
+        return prepared === null || (Array.isArray(prepared) && prepared.length === 0)? null : prepared
+    }
+    //
+    /**Split the prepared events into chunks which each fit in one request: [{batchId, logs, events: {[key]: originals}, bytes}] */
+    let chunks = [], budget = config.maxTotalBytes
+    const envelopeBytes = byteLength({batchId: generateId(), logs: {}})
+    /**Add a part of a key's batch (prepared, & the events it came from) to the last chunk or a new one. Returns false when it doesn't fit. */
+    const place = (key, prepared, originals) => {
+        /**"key":[] with a comma, and a comma after each event */
+        const keyBytes = byteLength(key) + 4
+        const partBytes = byteLength(prepared) - 2 + prepared.length
+        const last = chunks[chunks.length - 1]
+        const chunk = last && last.bytes + (key in last.logs? 0 : keyBytes) + partBytes <= config.maxBytes? last : {batchId: generateId(), logs: {}, events: {}, bytes: 0}
+        const addedBytes = (chunk.bytes === 0? envelopeBytes : 0) + (key in chunk.logs? 0 : keyBytes) + partBytes
+        if (addedBytes > budget || chunk.bytes + addedBytes > config.maxBytes) return false
+        if (chunk !== last) chunks.push(chunk)
+        budget -= addedBytes
+        chunk.bytes += addedBytes
+        chunk.logs[key] = [...chunk.logs[key] || [], ...prepared]
+        chunk.events[key] = [...chunk.events[key] || [], ...originals]
+        return true
+    }
+    const paused = store.get(eventLogsPausedAtom)
+    store.get(eventLogsAtom).filter(key => !isPaused(paused, key, 'sending')).forEach(key => {
+        const batch = [
+            ...store.get(eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, true))) || [],
+            ...store.get(eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, false))) || []
+        ].filter(event => !inFlight.has(event))
+        if (batch.length === 0) return
+        const prepared = prepare(key, batch)
+        if (prepared === undefined) {
+            kept += batch.length
+            return
+        }
+        /**The plugins dropped the batch, like a 'filtered' send */
+        if (prepared === null) {
+            store.set(eventLogRemoverAtom, {key, events: batch})
+            return
+        }
+        if (!Array.isArray(prepared) || prepared.length !== batch.length) {
+            if (!place(key, Array.isArray(prepared)? prepared : [prepared], batch)) kept += batch.length
+            return
+        }
+        /**One event after the other, until one doesn't fit, so the key's events stay in order */
+        const placed = prepared.findIndex((event, i) => !place(key, [event], [batch[i]]))
+        if (placed !== -1) kept += batch.length - placed
+    })
+    //
+    /**Returns 'beacon' or 'fetch' once the browser has taken the request over, null when it hasn't */
+    const handOff = ({batchId, logs}, onSettled) => {
+        const body = JSON.stringify({batchId, logs})
+        if (config.transport === 'beacon' && typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function') {
+            try {
+                if (navigator.sendBeacon(config.url, new Blob([body], {type: config.contentType}))) return 'beacon'
+            } catch (error) {
+                internalLog(logger, 'debug', 'sendBeacon failed, trying fetch with keepalive', error)
+            }
+        }
+        if (typeof fetch !== 'function') return null
+        try {
+            fetch(config.url, {
+                method: 'POST',
+                keepalive: true,
+                headers: {'Content-Type': config.contentType, 'Idempotency-Key': batchId, ...config.headers},
+                body
+            }).then(response => {
+                if (!response.ok) throw new LogTransportError(`Unload flush request failed with ${response.status}`, {status: response.status})
+                onSettled(true)
+            }).catch(error => {
+                onSettled(false)
+                internalLog(logger, 'error', 'Unload flush request failed, its events stay in their queues', error)
+            })
+        } catch (error) {
+            internalLog(logger, 'error', 'Unload flush request failed, its events stay in their queues', error)
+            return null
+        }
+        return 'fetch'
+    }
+    //
+    let sent = 0
+    chunks.forEach(chunk => {
+        const entries = Object.entries(chunk.events)
+        const count = entries.reduce((count, [, events]) => count + events.length, 0)
+        entries.forEach(([, events]) => events.forEach(event => inFlight.add(event)))
+        const settle = delivered => entries.forEach(([key, events]) => {
+            events.forEach(event => inFlight.delete(event))
+            if (delivered) store.set(eventLogRemoverAtom, {key, events})
+        })
+        const via = handOff(chunk, settle)
+        if (via === null) {
+            settle(false)
+            kept += count
+            return
+        }
+        if (via === 'beacon') settle(true)
+        sent += count
+    })
+    internalLog(logger, 'debug', 'flushEventLogsOnUnload()', {sent, kept})
+    if (kept > 0) internalLog(logger, 'error', `${kept} event(s) could not be flushed on unload and stay in their queues`)
+    return {sent, kept}
+}
+
+
+/* Multi-tab (4) */
+
+/**
+ * A channel to the other tabs of the same origin: BroadcastChannel, or localStorage 'storage' events where it isn't available.
+ * Neither delivers a tab's own messages back to it.
+ * @returns {Object|null} {post(message), subscribe(fn) => unsubscribe, close()}
+ */
+const createTabChannel = (name = multiTabDefaults.channel) => {
+    if (typeof BroadcastChannel !== 'undefined') {
+        const channel = new BroadcastChannel(name)
+        return {
+            post: message => channel.postMessage(message),
+            subscribe: fn => {
+                const listener = e => fn(e.data)
+                channel.addEventListener('message', listener)
+                return () => channel.removeEventListener('message', listener)
+            },
+            close: () => channel.close()
+        }
+    }
+    if (typeof window === 'undefined' || !window.localStorage) return null
+    const storageKey = `${name}:message`
+    return {
+        post: message => {
+            /**The nonce makes every message a change, so it's always delivered */
+            window.localStorage.setItem(storageKey, JSON.stringify({...message, nonce: generateId()}))
+            window.localStorage.removeItem(storageKey)
+        },
+        subscribe: fn => {
+            const listener = e => {
+                if (e.key === storageKey && e.newValue) fn(JSON.parse(e.newValue))
+            }
+            window.addEventListener('storage', listener)
+            return () => window.removeEventListener('storage', listener)
+        },
+        close: () => {}
+    }
+}
+//
+/**
+ * Coordinate the tabs of the app so only one of them (the leader) sends. The leader sends heartbeats; when they stop (or it resigns
+ * as its tab closes) the others elect a new one, the lowest tabId among the claims winning. Followers forward their batches
+ * to the leader (see sendEventLogBatch), which queues them as its own & acknowledges them. Without an acknowledgement, they stay put.
+ * 
+ * @param {Object} store - The jotai store of the <LogRiver>
+ * @param {Object} config - See multiTabDefaults
+ * @returns {Function} Stops coordinating (resigning first, when leading)
+ */
+const coordinateTabs = (store, config = multiTabDefaults) => {
+    const channel = createTabChannel(config.channel)
+    if (!channel) return () => {}
+    const clock = store.get(logRiverConfigAtom).clock || systemClock
+    const tabId = generateId()
+    const pendingAcks = new Map()
+    let lastHeartbeatAt = 0
+    let candidates = null
+    let electionTimeoutId = null
+    const tabs = () => store.get(eventLogTabsAtom)
+    const setTabs = changes => {
+        store.set(eventLogTabsAtom, {...tabs(), ...changes})
+        if ('role' in changes) internalLog(store.get(logRiverConfigAtom).logger, 'debug', 'coordinateTabs()', tabs())
+    }
+    const post = message => channel.post({...message, from: tabId})
+    //
+    const lead = () => {
+        setTabs({role: 'leader', leaderId: tabId})
+        post({type: 'heartbeat'})
+    }
+    const follow = leaderId => {
+        clock.clearTimeout(electionTimeoutId)
+        candidates = null
+        lastHeartbeatAt = clock.now()
+        if (tabs().role !== 'follower' || tabs().leaderId !== leaderId) setTabs({role: 'follower', leaderId})
+    }
+    const elect = () => {
+        if (candidates !== null) return
+        candidates = new Set([tabId])
+        setTabs({role: 'electing', leaderId: null})
+        post({type: 'claim'})
+        electionTimeoutId = clock.setTimeout(() => {
+            const winner = [...candidates].sort()[0]
+            candidates = null
+            if (winner === tabId) lead()
+            else follow(winner)
+        }, config.electionTimeout)
+    }
+    /**Forward a batch to the leader, resolving with whether it took it */
+    const forward = (key, events) => new Promise(resolve => {
+        const batchId = generateId()
+        const settle = acknowledged => {
+            clock.clearTimeout(timeoutId)
+            pendingAcks.delete(batchId)
+            resolve(acknowledged)
+        }
+        const timeoutId = clock.setTimeout(() => settle(false), config.ackTimeout)
+        pendingAcks.set(batchId, settle)
+        post({type: 'events', to: tabs().leaderId, key, events, batchId})
+    })
+    //
+    const unsubscribe = channel.subscribe(message => {
+        if (!isObject(message) || message.from === tabId) return
+        const {role, leaderId} = tabs()
+        switch (message.type) {
+            case 'hello':
+            case 'claim':
+                if (role === 'leader') post({type: 'heartbeat'})
+                else if (candidates !== null && message.type === 'claim') candidates.add(message.from)
+                break
+            case 'heartbeat':
+                /**Two leaders after a split: the lower tabId keeps leading */
+                if (role === 'leader') {
+                    if (message.from < tabId) follow(message.from)
+                    else post({type: 'heartbeat'})
+                }
+                else follow(message.from)
+                break
+            case 'resign':
+                if (leaderId === message.from) elect()
+                break
+            case 'events':
+                if (message.to !== tabId || role !== 'leader') break
+                store.set(eventLogQueueAtom, {key: sanitizeRawKey(message.key), events: Array.isArray(message.events)? message.events : []})
+                post({type: 'ack', to: message.from, batchId: message.batchId})
+                break
+            case 'ack':
+                if (message.to === tabId && pendingAcks.has(message.batchId)) pendingAcks.get(message.batchId)(true)
+                break
+        }
+    })
+    //
+    setTabs({tabId, forward})
+    post({type: 'hello'})
+    elect()
+    const intervalId = clock.setInterval(() => {
+        if (tabs().role === 'leader') post({type: 'heartbeat'})
+        else if (tabs().role === 'follower' && clock.now() - lastHeartbeatAt > config.leaseTimeout) elect()
+    }, config.heartbeat)
+    const resign = () => {
+        if (tabs().role === 'leader') post({type: 'resign'})
+    }
+    window.addEventListener('pagehide', resign)
+    return () => {
+        resign()
+        clock.clearInterval(intervalId)
+        clock.clearTimeout(electionTimeoutId)
+        window.removeEventListener('pagehide', resign)
+        pendingAcks.forEach(settle => settle(false))
+        unsubscribe()
+        channel.close()
+        store.set(eventLogTabsAtom, {tabId: null, role: null, leaderId: null, forward: null})
+    }
+}
+//
+/**
+ * Read & change the tabs' leases on their persisted events: {[tabId]: expiresAt}, or (with config.claimsKey) their claims on the events of tabs that are gone: {[tabId]: claimedBy}.
+ * They're kept in localStorage for every tab to see; without it there are no other tabs, so there are no leases either.
+ * @param {Object} config - See persistLeaseDefaults
+ * @param {Function} update - leases => The changed leases
+ * @param {string} storageKey - config.leasesKey or config.claimsKey
+ * @returns {Object} The leases after the change
+ */
+const updatePersistLeases = (config = persistLeaseDefaults, update = leases => leases, storageKey = config.leasesKey) => {
+    const storage = typeof window === 'undefined'? null : window.localStorage
+    if (!storage) return update({})
+    let leases = {}
+    try {
+        leases = JSON.parse(storage.getItem(storageKey) || '{}') || {}
+    } catch (error) {
+        leases = {}
+    }
+    const updated = update(leases)
+    if (updated !== leases) storage.setItem(storageKey, JSON.stringify(updated))
+    return updated
+}
+//
+/**
+ * Persist this tab's pending events under its own storage keys, holding a lease on them which is renewed every heartbeat.
+ * On the way in, the events this tab persisted before a reload are put back into their queues, along with those of tabs
+ * whose lease has expired (closed or crashed tabs); after that, every heartbeat looks for more. Events of live tabs are left alone.
+ * A tab id is kept in sessionStorage, so a reload picks up its own events right away. A duplicated tab copies it, but finds
+ * its lease held by the original tab, so it takes an id of its own.
+ * Two tabs may find the same lease expired: each claims the events, waits config.claimDelay & checks the claims again, and only the last claim takes them.
+ * Leases are compared between tabs, so they're in the time of the system clock rather than the one of <LogRiver clock>.
+ *
+ * @param {Object} store - The jotai store of the <LogRiver>
+ * @param {Object} storage - The storage backend (see createLocalStorageBackend)
+ * @param {Object} config - See persistLeaseDefaults
+ * @returns {Function} Stops persisting, releasing the lease
+ */
+const leasePersistedEvents = (store, storage, config = persistLeaseDefaults) => {
+    const logger = () => store.get(logRiverConfigAtom).logger
+    const hasWindow = typeof window !== 'undefined'
+    const tabStorage = hasWindow? window.sessionStorage : null
+    let tabId = tabStorage && tabStorage.getItem(config.tabIdKey)
+    if (!tabId || updatePersistLeases(config)[tabId] > Date.now()) tabId = generateId()
+    if (tabStorage) tabStorage.setItem(config.tabIdKey, tabId)
+    let stopped = false
+    const renew = () => updatePersistLeases(config, leases => ({...leases, [tabId]: Date.now() + config.leaseTimeout}))
+    const release = () => updatePersistLeases(config, ({[tabId]: released, ...leases}) => leases)
+    /**This tab's partitions go to its own storage keys */
+    const tabBackend = {
+        name: storage.name,
+        getItem: atomKey => storage.getItem(generateStoredAtomKey(tabId, atomKey)),
+        setItem: (atomKey, events) => storage.setItem(generateStoredAtomKey(tabId, atomKey), events),
+        removeItem: atomKey => storage.removeItem(generateStoredAtomKey(tabId, atomKey)),
+        keys: () => storage.keys()
+    }
+    //
+    /**Take over the persisted events of this tab (on the way in), of tabs whose lease expired & of versions before the leases */
+    const takeOver = async (initial = false) => {
+        const now = Date.now()
+        const leases = renew()
+        const entries = (await storage.keys()).map(storageKey => ({storageKey, ...parseStoredAtomKey(storageKey)}))
+        if (stopped) return
+        const owners = [...new Set(entries.map(entry => entry.tabId))].filter(owner => owner !== null && owner !== tabId)
+        let orphans = owners.filter(owner => !(leases[owner] > now))
+        if (orphans.length > 0) {
+            /**Renewing their leases claims them, so the tabs which come later leave them alone. The ones which came at the same time claim them too, the last claim wins. */
+            updatePersistLeases(config, current => {
+                orphans = orphans.filter(owner => !(current[owner] > now))
+                return orphans.reduce((all, owner) => ({...all, [owner]: now + config.leaseTimeout}), current)
+            })
+            updatePersistLeases(config, claims => orphans.reduce((all, owner) => ({...all, [owner]: tabId}), claims), config.claimsKey)
+            await new Promise(resolve => setTimeout(resolve, config.claimDelay))
+            if (stopped) return
+            const claims = updatePersistLeases(config, undefined, config.claimsKey)
+            orphans = orphans.filter(owner => claims[owner] === tabId)
+        }
+        const taken = entries.filter(entry => entry.tabId === null || orphans.includes(entry.tabId) || (initial && entry.tabId === tabId))
+        const stored = await Promise.all(taken.map(entry => storage.getItem(entry.storageKey).then(events => ({...entry, events}))))
+        if (stopped) return
+        if (orphans.length > 0 || taken.some(entry => entry.tabId === null)) internalLog(logger(), 'info', 'Taking over persisted event logs', orphans)
+        if (initial) {
+            /**Partitions of the same log key are put back one after the other */
+            store.set(eventLogRehydrateAtom, {
+                storage: tabBackend,
+                stored: stored.reduce((all, {atomKey, events}) => Array.isArray(events)? {...all, [atomKey]: [...all[atomKey] || [], ...events]} : all, {})
+            })
+        } else stored.forEach(({atomKey, events}) => {
+            if (Array.isArray(events) && events.length > 0) store.set(eventLogQueueAtom, {key: parseEventLogAtomKey(atomKey).key, events})
+        })
+        /**Queued (& persisted) as this tab's own, so the other tabs' copies go */
+        await Promise.all(stored.filter(entry => entry.tabId !== tabId).map(entry => storage.removeItem(entry.storageKey)))
+        if (orphans.length > 0) [config.leasesKey, config.claimsKey].forEach(storageKey => updatePersistLeases(config, current => 
+            Object.fromEntries(Object.entries(current).filter(([owner]) => !orphans.includes(owner)))
+        , storageKey))
+    }
+    const takeOverSafely = initial => takeOver(initial).catch(error => {
+        internalLog(logger(), 'error', initial? 'Could not rehydrate persisted event logs' : 'Could not take over persisted event logs', error)
+    })
+    //
+    takeOverSafely(true)
+    const intervalId = setInterval(() => takeOverSafely(false), config.heartbeat)
+    /**A reload picks its own events up again, unless the page only went into the back/forward cache */
+    const onPageHide = e => {
+        if (!e.persisted) release()
+    }
+    const onPageShow = e => {
+        if (e.persisted) renew()
+    }
+    if (hasWindow) {
+        window.addEventListener('pagehide', onPageHide)
+        window.addEventListener('pageshow', onPageShow)
+    }
+    return () => {
+        stopped = true
+        clearInterval(intervalId)
+        if (hasWindow) {
+            window.removeEventListener('pagehide', onPageHide)
+            window.removeEventListener('pageshow', onPageShow)
+        }
+        release()
+    }
+}
+
+
+/* Log driver (2) */
+
+/**
+ * The config of logRiverConfigAtom from the options of <LogRiver> or createLogDriver()
+ * @param {Object} options - See the props of <LogRiver>
+ * @returns {Object} See logRiverConfigDefaults
+ */
+const logRiverConfigFrom = ({sampling = logRiverConfigDefaults.sampling, redact = null, plugins = logRiverConfigDefaults.plugins, schemas = null, limits = null, clock = null, session = null, pageViews = null, captureErrors = null, logger = null} = {}) => ({
+    sampling,
+    plugins,
+    schemas: isObject(schemas)? {...schemaDefaults, ...schemas, invalidKey: sanitizeRawKey(schemas.invalidKey || schemaDefaults.invalidKey)} : null,
+    limits: isObject(limits)? {...queueLimitDefaults, ...limits} : null,
+    clock: isObject(clock)? {...systemClock, ...clock} : null,
+    session: Boolean(session)? {...sessionDefaults, ...isObject(session)? session : {}} : null,
+    pageViews: Boolean(pageViews) && typeof window !== 'undefined'? {...pageViewDefaults, ...isObject(pageViews)? pageViews : {}} : null,
+    captureErrors: Boolean(captureErrors)? {...errorCaptureDefaults, ...isObject(captureErrors)? captureErrors : {}} : null,
+    redact: typeof redact === 'function'? redact : Boolean(redact)? createRedactor(redact === true? {} : redact) : null,
+    logger: sanitizeInternalLogger(logger)
+})
+//
+/**
+ * Create a log driver which works without React, so API clients, Redux middleware, web workers & plain modules can log too.
+ * Events go through the same pipeline as useLoggerSender().log (context, session, plugins, schemas, sampling, redaction & queue limits).
+ * Hand it to <LogRiver driver={driver}> and the hooks & components of the app share its queues & senders, instead of keeping their own.
+ * 
+ * @param {Object} options - sampling, redact, plugins, schemas, limits, clock, context, session, minLevel & logger work like the props of <LogRiver>
+ * @param {Object} options.senders - Senders by log key: an async sendFn, or {sendFn, pendingSendMax, timeInterval, schedule, retry, prepFn} (see addSender())
+ * @param {Object} options.store - The jotai store to keep everything in (a new one by default)
+ * @returns {Object} {store, log, addSender, send, sendAll, jam, drive, clear, setMinLevel, getSnapshot, subscribe, destroy}
+ */
+export const createLogDriver = (options = {}) => {
+    const store = isObject(options.store)? options.store : createStore()
+    store.set(logRiverConfigAtom, logRiverConfigFrom(options))
+    if (isObject(options.context)) store.set(eventLogContextAtom, sanitizeLogContext(options.context))
+    if (options.minLevel) store.set(eventLogMinLevelsAtom, sanitizeMinLevels(options.minLevel))
+    //
+    let destroyed = false
+    const detachers = new Set()
+    const unsubscribers = new Set()
+    /**The keys provided, or every key */
+    const keysOr = (keys = []) => {
+        keys = (Array.isArray(keys)? keys : [keys])
+            .filter(key => key !== undefined && key !== null && key !== '')
+            .map(sanitizeRawKey)
+        return keys.length > 0? keys : store.get(eventLogsAtom)
+    }
+    //
+    const driver = {
+        store,
+        /**
+         * Log an event, the same as useLoggerSender(key).log(event). log.warn(key, event), log.error(key, event)... log it with that level.
+         * @param {string} key - The log key
+         * @param {Object|string} event - The event, or its code
+         */
+        log: withLevelHelpers(level => (key = defaultKey, event = null) => {
+            if (destroyed) return
+            key = sanitizeRawKey(key)
+            store.set(eventLogKeyAdderAtom, [key])
+            store.set(eventLogPendingAdderAtomFamily(key), {...sanitizeRawEvent(event), ...level === null? {} : {level}}, {eventProvided: event})
+        }),
+        /**
+         * Send a log key through a send function, like a useLoggerSender() main instance: once pendingSendMax events are pending,
+         * every timeInterval milliseconds, and with sendAll(). A later sender of the same key (e.g. a main instance that mounts) takes over.
+         * @param {string} key - The log key
+         * @param {Function} sendFn - Async function which sends a batch: (events, {key, batchId, attempt})
+         * @param {Object} param - {pendingSendMax, timeInterval, schedule, retry, prepFn}, see defaultParam
+         * @returns {Function} Removes the sender
+         */
+        addSender: (key = defaultKey, sendFn = undefined, param = {}) => {
+            key = sanitizeRawKey(key)
+            if (destroyed) return () => {}
+            if (!isPromiseOrAsyncFunc(sendFn)) {
+                internalLog(store.get(logRiverConfigAtom).logger, 'error', {code: 'SENDFN_NOT_A_PROMISE', msg: `The sendFn given to createLogDriver().addSender("${key}") is not asynchronous`})
+                return () => {}
+            }
+            param = {...defaultParam, ...isObject(param)? param : {}}
+            const retry = sanitizeRetryParam(param.retry)
+            store.set(eventLogKeyAdderAtom, [key])
+            const detach = attachEventLogSender(store, key, {
+                send: () => sendEventLogBatch(store, key, {run: sendFn, prepFn: param.prepFn, retry, onRejected: param.onRejected}),
+                pendingSendMax: param.pendingSendMax,
+                timeInterval: param.timeInterval,
+                schedule: param.schedule,
+                prepFn: param.prepFn
+            })
+            detachers.add(detach)
+            return () => {
+                if (!detachers.delete(detach)) return
+                detach()
+            }
+        },
+        /**
+         * Send the pending events of one log key now
+         * @returns {Promise<Object>} {key, success, status, count, error}, see sendAllEventLogs()
+         */
+        send: async (key = defaultKey) => {
+            key = sanitizeRawKey(key)
+            return (await sendAllEventLogs(store, [key]))[key]
+        },
+        /**
+         * Send the pending events of every log key which has a sender (or of the ones provided)
+         * @returns {Promise<Object>} Results by key, see sendAllEventLogs()
+         */
+        sendAll: (keys = []) => sendAllEventLogs(store, keys.length > 0? keysOr(keys) : keysWithSenders(store, keysOr())),
+        /**Pause 'logging' and/or 'sending' of log keys (every key when none are provided), like useLogDriver().jam() */
+        jam: (keys = [], prevent = ['logging', 'sending']) => store.set(eventLogDriverAtom, {type: 'jam', keys: keysOr(keys), prevent}),
+        /**Resume 'logging' and/or 'sending' of log keys (every jammed key when none are provided), like useLogDriver().drive() */
+        drive: (keys = [], resume = ['logging', 'sending']) => store.set(eventLogDriverAtom, {
+            type: 'drive',
+            keys: (Array.isArray(keys)? keys : [keys]).filter(key => key !== undefined && key !== null && key !== '').map(sanitizeRawKey),
+            prevent: resume
+        }),
+        /**Delete the pending events of log keys (every key when none are provided) */
+        clear: (keys = []) => keysOr(keys).forEach(key => store.set(eventLogClearerAtom, key)),
+        /**Leave out the events of log keys ('*' for every key without its own) below a level, like useLogDriver().setMinLevel(). null removes it. */
+        setMinLevel: (keys = '*', level = null) => store.set(eventLogMinLevelSetterAtom, {
+            keys: (Array.isArray(keys)? keys : [keys]).map(key => key === '*'? key : sanitizeRawKey(key)),
+            level
+        }),
+        /**@returns {Object} {keys, logs, paused, sending, deadLetters, rejected, minLevels}, see eventLogSnapshotAtom */
+        getSnapshot: () => store.get(eventLogSnapshotAtom),
+        /**
+         * Get told whenever events are logged, sent or cleared, or log keys are jammed or driven
+         * @param {Function} listener - Called with the snapshot (see getSnapshot())
+         * @returns {Function} Unsubscribes
+         */
+        subscribe: listener => {
+            if (destroyed || typeof listener !== 'function') return () => {}
+            const unsubscribe = store.sub(eventLogSnapshotAtom, () => listener(store.get(eventLogSnapshotAtom)))
+            unsubscribers.add(unsubscribe)
+            return () => {
+                if (unsubscribers.delete(unsubscribe)) unsubscribe()
+            }
+        },
+        /**Remove every sender (cancelling their retries) & subscriber. The driver won't log anymore, pending events stay in the store. */
+        destroy: () => {
+            if (destroyed) return
+            destroyed = true
+            detachers.forEach(detach => detach())
+            detachers.clear()
+            unsubscribers.forEach(unsubscribe => unsubscribe())
+            unsubscribers.clear()
+        }
+    }
+    //
+    Object.entries(isObject(options.senders)? options.senders : {}).forEach(([key, sender]) => isObject(sender)
+        ? driver.addSender(key, sender.sendFn, sender)
+        : driver.addSender(key, sender))
+    return driver
+}
+
+
+/* HTTP transport (4) */
+
+/**Error thrown by the HTTP transport. `retryable` & `retryAfter` (milliseconds) tell the sender whether & when to try the batch again. */
+export class LogTransportError extends Error {
+    constructor(msg, {code = 'TRANSPORT_FAILED', status = null, retryable = true, retryAfter = null, cause = undefined} = {}) {
+        super(msg)
+        this.name = 'LogTransportError'
+        this.code = code
+        this.status = status
+        this.retryable = retryable
+        this.retryAfter = retryAfter
+        if (cause !== undefined) this.cause = cause
+    }
+}
+//
+/**
+ * Treat HTTP status codes consistently
+ * @param {number} status
+ * @returns {string} 'success' (2xx) | 'retryable' (408, 425, 429 & 5xx other than 501 & 505) | 'fatal' (everything else)
+ */
+export const classifyHttpStatus = status => 
+    status >= 200 && status < 300? 'success'
+    : [408, 425, 429].includes(status) || (status >= 500 && ![501, 505].includes(status))? 'retryable'
+    : 'fatal'
+//
+/**Retry-After is either seconds or an HTTP date. Returns milliseconds, or null. */
+const parseRetryAfter = (value = null) => {
+    if (value === null || value === '') return null
+    let seconds = Number(value)
+    if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000
+    let date = Date.parse(value)
+    return Number.isFinite(date)? Math.max(date - Date.now(), 0) : null
+}
+//
+/**
+ * Create a sendFn which POSTs every batch to your server, instead of writing the same fetch() wrapper in every app:
+ *    useLoggerSender(key, createHttpTransport({url: '/api/logs'}))
+ * 
+ * - 2xx responses are a success, 408/425/429/5xx are retried (honouring Retry-After), anything else goes straight to the dead-letter queue
+ * - A 401 response calls refreshAuth() (if provided) & tries the request once more with fresh headers
+ * - Requests are aborted after `timeout` milliseconds, and retried
+ * - The batchId goes along in the Idempotency-Key header, the same for every retry of the batch
+ * - readResult() can hand a partial acknowledgement ({rejected, retry}) from the response body to the driver
+ * 
+ * @param {string|Object} options - The endpoint url, or an object (see httpTransportDefaults)
+ * @returns {AsyncFunction} The sendFn, resolving with the Response (or what readResult() made of it) or rejecting with a LogTransportError
+ */
+export const createHttpTransport = (options = {}) => {
+    const config = {...httpTransportDefaults, ...isObject(options)? options : {url: options}}
+    const ndjson = config.format === 'ndjson'
+    const logger = sanitizeInternalLogger(config.logger)
+    //
+    /**gzip with CompressionStream, or leave the body alone if the browser doesn't have it */
+    const compress = async body => {
+        if (!config.compress || typeof CompressionStream === 'undefined') return {body, encoding: null}
+        const stream = new Blob([body]).stream().pipeThrough(new CompressionStream('gzip'))
+        return {body: await new Response(stream).arrayBuffer(), encoding: 'gzip'}
+    }
+    //
+    const request = async (body, encoding, batchId) => {
+        const controller = typeof AbortController === 'undefined'? null : new AbortController()
+        const timeoutId = controller && config.timeout? setTimeout(() => controller.abort(), config.timeout) : null
+        try {
+            return await (config.fetch || fetch)(config.url, {
+                method: config.method,
+                headers: {
+                    'Content-Type': ndjson? 'application/x-ndjson' : 'application/json',
+                    ...encoding? {'Content-Encoding': encoding} : {},
+                    ...config.idempotencyHeader && batchId? {[config.idempotencyHeader]: batchId} : {},
+                    ...typeof config.headers === 'function'? await config.headers() : config.headers
+                },
+                body,
+                ...controller? {signal: controller.signal} : {}
+            })
+        } catch (error) {
+            let timedOut = !!controller && controller.signal.aborted
+            throw new LogTransportError(timedOut? `Request to ${config.url} timed out after ${config.timeout}ms` : `Request to ${config.url} failed`, {
+                code: timedOut? 'TIMEOUT' : 'NETWORK_ERROR',
+                retryable: true,
+                cause: error
+            })
+        } finally {
+            clearTimeout(timeoutId)
+        }
+    }
+    //
+    return async function httpTransport(logs = [], {batchId = null} = {}) {
+        if (!config.url) throw new LogTransportError('createHttpTransport() needs a url', {code: 'NO_URL', retryable: false})
+        const {body, encoding} = await compress(
+            ndjson? logs.map(event => JSON.stringify(event)).join('\n') : JSON.stringify(logs)
+        )
+        let response = await request(body, encoding, batchId)
+        if (response.status === 401 && typeof config.refreshAuth === 'function') {
+            await config.refreshAuth()
+            response = await request(body, encoding, batchId)
+        }
+        const outcome = classifyHttpStatus(response.status)
+        internalLog(logger, 'debug', 'httpTransport()', response.status, outcome)
+        if (outcome === 'success') return typeof config.readResult === 'function'? await config.readResult(response) : response
+        throw new LogTransportError(`${config.method} ${config.url} responded with ${response.status}`, {
+            code: outcome === 'retryable'? 'HTTP_RETRYABLE' : 'HTTP_FATAL',
+            status: response.status,
+            retryable: outcome === 'retryable',
+            retryAfter: parseRetryAfter(response.headers && response.headers.get('Retry-After'))
+        })
+    }
+}
 
 
-/**The jotai atoms (9) */
-//
-/**Instances of log batch senders which look over multiple Log key's */
-const logDriversAtom = atom([])
-//
-/**Store all keys here */
-const eventLogsAtom = atom([])
-//
-/**Keys of event logs not to send */
-const eventLogsPausedAtom = atom([])
-//
-/**Store objects here (intending logged events) */
-const eventLogPendingSendAtomFamily = atomFamily(() => atom([]))
-//
-/**Derived atom for adding event keys */
-const eventLogKeyAdderAtom = atom(
-    null,
-    (get, set, keys = [defaultKey]) => {
-        const current = get(eventLogsAtom)
-        set(eventLogsAtom, [...new Set([...current, ...keys])])
-    }
-)
+/* Performance (3) */
+
+/**The [good, poor] thresholds of each metric, as published for Core Web Vitals */
+const performanceRatingThresholds = {
+    LCP: [2500, 4000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500],
+    FCP: [1800, 3000],
+    TTFB: [800, 1800]
+}
 //
-/**Derived atom for adding events to pending send */
-const eventLogPendingAdderAtomFamily = atomFamily((key = defaultKey) => 
-    atom(
-        (get) => get(eventLogPendingSendAtomFamily(key)),
-        (get, set, eventProvided) => {
-            const current = get(eventLogPendingSendAtomFamily(key)) || []
-            set(eventLogPendingSendAtomFamily(key), [
-                ...current,
-                addEventMetadata(sanitizeRawEvent(eventProvided))
-            ])
-        }
-    )
-)
+/**Rate a metric's value: 'good' | 'needs-improvement' | 'poor' */
+const rateMetric = (name, value) => {
+    const [good, poor] = performanceRatingThresholds[name] || [Infinity, Infinity]
+    return value <= good? 'good' : value <= poor? 'needs-improvement' : 'poor'
+}
 //
-/**Derived atom for log driver commands */
-const eventLogDriverAtom = atom(
-    null,
-    (get, set, param) => {
-        if (debug) console.info(packageName, 'eventLogDriverAtom.set()', param)
-        switch (param.type) {
-            case 'jam':
-                const current = get(eventLogsPausedAtom)
-                set(eventLogsPausedAtom, [...new Set([...current, ...param.keys])])
-                break;
-            default: break;
+/**
+ * Observe the page's performance with PerformanceObserver & report each metric once its value is final:
+ * TTFB right away, FCP when painted, LCP at the first input or when the page is hidden, CLS & INP whenever the page is hidden.
+ * @param {Function} reportMetric - Called with {name, value, rating, navigationType}
+ * @param {Function} reportLongTask - Called with {duration, startTime, name, container} for every long task
+ * @param {Object} options - See performanceDefaults
+ * @returns {Function} Stops observing
+ */
+const observePerformance = (reportMetric, reportLongTask, options = performanceDefaults) => {
+    if (typeof window === 'undefined' || typeof PerformanceObserver === 'undefined' || typeof performance === 'undefined') return () => {}
+    const supported = PerformanceObserver.supportedEntryTypes || []
+    const metrics = Array.isArray(options.metrics)? options.metrics : performanceDefaults.metrics
+    const navigationEntry = typeof performance.getEntriesByType === 'function'? performance.getEntriesByType('navigation')[0] : undefined
+    const navigationType = navigationEntry? navigationEntry.type : null
+    /**Pages prerendered before they were shown count from their activation */
+    const activationStart = (navigationEntry && navigationEntry.activationStart) || 0
+    const observers = []
+    const observe = (type, callback, extra = {}) => {
+        if (!supported.includes(type)) return null
+        try {
+            const observer = new PerformanceObserver(list => callback(list.getEntries()))
+            observer.observe({type, buffered: true, ...extra})
+            observers.push(observer)
+            return observer
+        } catch (error) {
+            return null
         }
     }
-)
-//
-/**Derived atom for clearing event logs */
-const eventLogClearerAtom = atom(
-    null,
-    (get, set, key = undefined) => {
-        if (debug) console.log(packageName, 'eventLogClearerAtom', key)
-        if (typeof key === 'string' && key.length > 0) {
-            set(eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, true)), [])
-            set(eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, false)), [])
+    const report = (name, value) => reportMetric({
+        name,
+        value: name === 'CLS'? Math.round(value * 10000) / 10000 : Math.round(value),
+        rating: rateMetric(name, value),
+        navigationType
+    })
+    //
+    if (metrics.includes('TTFB') && navigationEntry) report('TTFB', Math.max(navigationEntry.responseStart - activationStart, 0))
+    //
+    let fcpObserver = null
+    if (metrics.includes('FCP')) fcpObserver = observe('paint', entries => {
+        const entry = entries.find(({name}) => name === 'first-contentful-paint')
+        if (!entry) return
+        report('FCP', Math.max(entry.startTime - activationStart, 0))
+        fcpObserver.disconnect()
+    })
+    //
+    let lcp = null
+    let lcpObserver = null
+    if (metrics.includes('LCP')) lcpObserver = observe('largest-contentful-paint', entries => {
+        if (entries.length > 0) lcp = Math.max(entries[entries.length - 1].startTime - activationStart, 0)
+    })
+    const finalizeLcp = () => {
+        if (!lcpObserver) return
+        lcpObserver.takeRecords().forEach(entry => lcp = Math.max(entry.startTime - activationStart, 0))
+        lcpObserver.disconnect()
+        lcpObserver = null
+        if (lcp !== null) report('LCP', lcp)
+    }
+    //
+    /**CLS is the largest session window of layout shifts (at most 1s apart, 5s long), leaving out shifts caused by input */
+    let cls = null
+    let sessionValue = 0
+    let sessionFirst = null
+    let sessionLast = null
+    if (metrics.includes('CLS')) observe('layout-shift', entries => entries.forEach(entry => {
+        if (entry.hadRecentInput) return
+        if (sessionFirst !== null && entry.startTime - sessionLast < 1000 && entry.startTime - sessionFirst < 5000) sessionValue += entry.value
+        else {
+            sessionValue = entry.value
+            sessionFirst = entry.startTime
         }
+        sessionLast = entry.startTime
+        cls = Math.max(cls || 0, sessionValue)
+    }))
+    //
+    /**INP is close to the slowest interaction, leaving out one in every 50 so outliers don't count */
+    const interactions = new Map()
+    const addInteractions = entries => entries.forEach(({interactionId, duration}) => {
+        if (!interactionId) return
+        interactions.set(interactionId, Math.max(interactions.get(interactionId) || 0, duration))
+    })
+    if (metrics.includes('INP')) {
+        observe('event', addInteractions, {durationThreshold: 40})
+        observe('first-input', addInteractions)
     }
-)
-//
-/**Derived atom for getting logs by keys */
-const eventLogsGetterAtomFamily = atomFamily((logKeys = []) => 
-    atom((get) => 
-        logKeys.reduce((all, key) => ({
-            ...all,
-            [key]: [
-                ...get(eventLogPendingSendAtomFamily(generateEventLogAtomKey(key))) || [],
-                ...get(eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, false))) || []
-            ]
-        }), {})
-    )
-)
+    const inp = () => {
+        if (interactions.size === 0) return null
+        const durations = [...interactions.values()].sort((a, b) => b - a)
+        return durations[Math.min(Math.floor(interactions.size / 50), durations.length - 1)]
+    }
+    //
+    if (options.longTasks) observe('longtask', entries => entries.forEach(entry => {
+        const attribution = Array.isArray(entry.attribution) && entry.attribution[0]
+        reportLongTask({
+            duration: Math.round(entry.duration),
+            startTime: Math.round(entry.startTime),
+            name: entry.name,
+            container: attribution? attribution.containerSrc || attribution.containerName || attribution.containerType || null : null
+        })
+    }))
+    //
+    const onInput = () => finalizeLcp()
+    const onHidden = e => {
+        if (e.type === 'visibilitychange' && document.visibilityState !== 'hidden') return
+        finalizeLcp()
+        if (cls !== null) report('CLS', cls)
+        const inpValue = inp()
+        if (inpValue !== null) report('INP', inpValue)
+    }
+    const inputEvents = ['keydown', 'pointerdown']
+    inputEvents.forEach(type => window.addEventListener(type, onInput, {capture: true, once: true}))
+    document.addEventListener('visibilitychange', onHidden)
+    window.addEventListener('pagehide', onHidden)
+    return () => {
+        observers.forEach(observer => observer.disconnect())
+        inputEvents.forEach(type => window.removeEventListener(type, onInput, {capture: true}))
+        document.removeEventListener('visibilitychange', onHidden)
+        window.removeEventListener('pagehide', onHidden)
+    }
+}
 
 
-/* The hooks (2) */
+/* The hooks (6) */
 //
 /**For performing operations only on existing event logs */
 const useReduceToExistingKeysSelector = () => {
     const logsState = useAtomValue(eventLogsAtom)
-    /**
-     * TODO: Event Log State Storage Enhancement
-     * Current Implementation:
-     * - Event logs are stored as simple strings/primitives
-     * - The .key property fallback is used for backward compatibility
-     * 
-     * Planned Enhancement:
-     * - Store event logs as structured objects with consistent schema
-     * - Schema: {
-     *     key: string,           // Unique identifier for the log
-     *     type: string,          // Type of log (e.g., 'error', 'info', 'warning')
-     *     timestamp: number,     // Unix timestamp
-     *     metadata: Object,      // Additional contextual data
-     *     data: any             // The actual log content
-     * }
-     * 
-     * Migration Steps:
-     * 1. Update atomFamily to store objects instead of primitives
-     * 2. Add migration logic for existing log entries
-     * 3. Update all log creation points to use new object structure
-     * 4. Remove the .key || thisLog fallback after migration
-     */
-    return (checkKeys = []) => [
-        defaultKey,
-        ...(
-            Array.isArray(checkKeys)
-            ? checkKeys.map(sanitizeRawEvent)
-            : [sanitizeRawEvent(checkKeys)]
-        )
-    ].filter(thisKey => logsState.map(thisLog => thisLog.key || thisLog).includes(thisKey))
+    /**Log keys are strings, the .key fallback covers keys kept as {key} objects */
+    return (checkKeys = []) => (
+        Array.isArray(checkKeys)
+        ? checkKeys.map(sanitizeRawKey)
+        : [sanitizeRawKey(checkKeys)]
+    ).filter(thisKey => logsState.map(thisLog => thisLog.key || thisLog).includes(thisKey))
 }
 //
 export default function useLoggerSender(keyOrSendFn = undefined, paramOrSendFn = undefined, paramObject = undefined) {
@@ -342,11 +2973,16 @@ export default function useLoggerSender(keyOrSendFn = undefined, paramOrSendFn =
         ...defaultParam,
         ...paramProvided || {}
     }
+    param.retry = sanitizeRetryParam(param.retry)
     //
     let key = sanitizeRawKey(typeof keyOrSendFn === 'string'? keyOrSendFn : `${param.key || ''}` || defaultKey)
     /**Make sure key exists */
     const eventLogKeyAdder = useSetAtom(eventLogKeyAdderAtom)
     useEffect(() => eventLogKeyAdder([key]), [])
+    //
+    const store = useStore()
+    /**The library's own diagnostics go through the internal logger of <LogRiver logger> */
+    const logInternal = (level, ...details) => internalLog(store.get(logRiverConfigAtom).logger, level, ...details)
 
     //
     const sendFn = isPromiseOrAsyncFunc(keyOrSendFn)? keyOrSendFn 
@@ -370,43 +3006,46 @@ export default function useLoggerSender(keyOrSendFn = undefined, paramOrSendFn =
     /**Determine if this is a mainInstance that sends */
     const mainInstanceSends = mainInstance && sendFn !== undefined
     
-    /**React-Query mutation for sending simplicity */
+    /**React-Query mutation for sending simplicity. Retries are handled by sendEventLogBatch(), not React-Query. */
     const sender = !mainInstanceSends? null : useMutation({
         mutationKey: [packageName, key, 'event-log-send'],
-        ...mainInstanceSends? {mutationFn: sendFn} : {}
+        /**The sendFn gets the batch & its delivery {key, batchId, attempt} */
+        ...mainInstanceSends? {mutationFn: ({batch, delivery}) => sendFn(batch, delivery)} : {},
+        retry: false
     })
     //
-    /**Normally we log events into an array, but when we are sending the array, we need a temporary array to store events while the server is accepting the current batch. */
-    let useNormalLog = !!sender && !sender.isLoading
-    
-
-    /**Separate functions for setting atom w/n an atomFamily */
-    const logNormal = useSetAtom(eventLogPendingAdderAtomFamily(generateEventLogAtomKey(key, true)))
-    const logTemp = useSetAtom(eventLogPendingAdderAtomFamily(generateEventLogAtomKey(key, false)))
-    //
-    /**When the event-log is sending, we store new events in a temporary array state */
-    let logEvent = event => useNormalLog? logNormal(event) : logTemp(event)
+    /**Normally we log events into an array, but when we are sending the array, the adder atom stores them in a temporary array while the server is accepting the current batch. */
+    const logEvent = useSetAtom(eventLogPendingAdderAtomFamily(key))
     //
     /**Either logs the event immediately or returns a function to call that will log the event & simultaneously run a provided function
      * The returned function can essentially act as a cloned event, where you may pass additional maybe-unique 'info' to any of those clones.
+     * log.trace(), log.debug(), log.info(), log.warn(), log.error() & log.fatal() do the same with that level.
     */
-    const log = (event = null, fnOrReturnFn = undefined, returnAsFunction = false) => {
-        if (debug) console.count('useLoggerSender.log')
+    const log = withLevelHelpers(level => (event = null, fnOrReturnFn = undefined, returnAsFunction = false) => {
+        logInternal('trace', 'useLoggerSender.log', level)
         let runFn = typeof fnOrReturnFn === 'function'? fnOrReturnFn : false
         let run = (moreEventInfo = undefined) => {
-            logEvent({
+            let thisEvent = {
                 ...sanitizeRawEvent(event), 
-                ...typeof moreEventInfo === undefined? {} 
+                ...typeof moreEventInfo === 'undefined'? {} 
                     : isObject(moreEventInfo)? moreEventInfo
-                    : {info: moreEventInfo}
-            })
+                    : {info: moreEventInfo},
+                ...level === null? {} : {level}
+            }
+            /**The userId of this instance goes before the one of the log context */
+            if (param.userId !== undefined && !(isObject(thisEvent.metadata) && 'userId' in thisEvent.metadata)) thisEvent.metadata = {
+                ...thisEvent.metadata === undefined? {} : isObject(thisEvent.metadata)? thisEvent.metadata : {metadata: thisEvent.metadata},
+                userId: param.userId
+            }
+            /**What was provided goes along, so schemas can tell values which aren't events at all */
+            logEvent(thisEvent, {eventProvided: event})
             if (!!runFn) runFn()
         }
         return (
             (['boolean', 'null', 'number', 'string'].includes(typeof fnOrReturnFn) && Boolean(fnOrReturnFn))
             || (['boolean', 'null', 'number', 'string'].includes(typeof returnAsFunction) && Boolean(returnAsFunction))
         )? run : run()
-    }
+    })
 
 
     //
@@ -414,7 +3053,7 @@ export default function useLoggerSender(keyOrSendFn = undefined, paramOrSendFn =
     //
     /**This hook can be simple or high-level, depending on if a Promise is provided as first argument */
     if (!mainInstance) {
-        if (consoleErrors) errors.forEach(console.error)
+        errors.forEach(error => logInternal('error', error))
         return log
     }
     //
@@ -426,23 +3065,21 @@ export default function useLoggerSender(keyOrSendFn = undefined, paramOrSendFn =
     const eventsTemp = useAtomValue(eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, false)))
     const clearNormal = () => setEventsNormal([])
     const clearTemp = useSetAtom(eventLogPendingSendAtomFamily(generateEventLogAtomKey(key, false)))
+    const retryState = useAtomValue(eventLogRetryAtomFamily(key))
+    const validationErrors = useAtomValue(eventLogValidationErrorsAtomFamily(key))
+    const rejections = useAtomValue(eventLogRejectionsAtomFamily(key))
+    const eventLogsPaused = useAtomValue(eventLogsPausedAtom)
     
     /**The user may retrieve everything */
     let events = [...eventsNormal || [], ...eventsTemp || []]
     
     /**The user may clear everything */
     let clear = () => {
-        if (debug) console.count('useLoggerSender.clear')
+        logInternal('trace', 'useLoggerSender.clear')
         clearNormal()
         clearTemp([])
     }
 
-    /* After sending, clears the event log */
-    const onSuccess = () => {
-        setEventsNormal(eventsTemp)
-        clearTemp()
-    }
-    /**DEV_REMINDER how does this function get called? */
     /**
      * Send Function Call Flow
      * ----------------------
@@ -450,11 +3087,11 @@ export default function useLoggerSender(keyOrSendFn = undefined, paramOrSendFn =
      * 
      * 1. Automatic Batch Send:
      *    - When eventsNormal.length >= param.pendingSendMax
-     *    - Triggered by the check() function in useEffect
+     *    - Checked whenever the queue changes (see attachEventLogSender())
      * 
      * 2. Time-based Send:
-     *    - When timeInterval is set and time has elapsed
-     *    - Managed by setInterval in useEffect
+     *    - When timeInterval is set and time has elapsed, or an event is older than param.schedule.maxAge
+     *    - Scheduled per key by attachEventLogSender(), adaptive with param.schedule.adaptive
      * 
      * 3. Manual Send:
      *    - When user explicitly calls send()
@@ -463,47 +3100,72 @@ export default function useLoggerSender(keyOrSendFn = undefined, paramOrSendFn =
      * Implementation Details:
      * - Uses React Query's useMutation for server communication
      * - Temporary storage (eventsTemp) holds new logs during sending
-     * - On successful send, temp logs are moved to normal storage
+     * - After sending, temp logs are merged back into normal storage (see eventLogSendSettleAtom)
+     * - A failed batch is retried with exponential backoff (param.retry), then moved to the dead-letter queue
      * 
      * @param {boolean} overrideLogic - Force send regardless of conditions
-     * @returns {Promise|boolean} - Returns false if conditions not met, otherwise Promise
+     * @returns {Promise<Object>} - Resolves with the result of sendEventLogBatch()
      */
     const send = mainInstanceSends? 
         (overrideLogic = false) => {
-            if (debug) console.count('Running useLoggerSender.send')
-            if ((param.activeSending && !sender.isLoading) || overrideLogic) {
-                if (debug) console.info(packageName, 'send()', {eventsNormal, eventsTemp})
-                sender.mutate(param.prepFn(eventsNormal), {onSuccess})
-            } else console.error(packageName, 'send() failed')
+            logInternal('trace', 'useLoggerSender.send')
+            if (param.activeSending || overrideLogic) {
+                logInternal('debug', 'send()', {eventsNormal, eventsTemp})
+                return sendEventLogBatch(store, key, {
+                    run: (batch, delivery) => sender.mutateAsync({batch, delivery}),
+                    prepFn: param.prepFn,
+                    retry: param.retry,
+                    onRejected: param.onRejected
+                })
+            }
+            logInternal('error', 'send() failed')
+            return Promise.resolve({key, status: 'inactive', count: 0, error: null})
         }
         : (useSendFn = null, prepFn = null) => {
-            if (debug) console.count('Running useLoggerSender.send')
-            if (isPromiseOrAsyncFunc(useSendFn) || sendFn) {
-                if (debug) console.info(packageName, 'send()', {eventsNormal, eventsTemp})
-                sender.mutate(typeof prepFn === 'function'? prepFn(eventsNormal) : param.prepFn(eventsNormal), {
-                    mutationFn: useSendFn || sendFn,
-                    onSuccess
+            logInternal('trace', 'useLoggerSender.send')
+            if (isPromiseOrAsyncFunc(useSendFn)) {
+                logInternal('debug', 'send()', {eventsNormal, eventsTemp})
+                return sendEventLogBatch(store, key, {
+                    run: useSendFn,
+                    prepFn: typeof prepFn === 'function'? prepFn : param.prepFn,
+                    retry: param.retry,
+                    onRejected: param.onRejected
                 })
-            } else console.error(packageName, 'send() failed')
+            }
+            logInternal('error', 'send() failed')
+            return Promise.resolve({key, status: 'inactive', count: 0, error: null})
         }
 
     
-    /**Check & Send */
-    function check() {
-        if (debug) console.count('useLoggerSender.check')
-        if (mainInstanceSends)
-            if (!Boolean(param.timeIntervalSeconds)) {
-                if ((eventsNormal || []).length >= param.pendingSendMax) send()
-            }// else if (eventsNormal.length > 0 && timeRemaining < 0) send(true)
-    }
-    if (mainInstanceSends) useEffect(check, [`${(eventsNormal || []).length}:${events[(eventsNormal || []).length-1]?.time}`])
-    //
-    /**Check every so often? */
-    const [intervalId, setIntervalId] = useState(null)
-    if (mainInstanceSends) useEffect(() => {
-        if (Boolean(param.timeInterval) && intervalId === null) setIntervalId(setInterval(check, param.timeInterval))
-        return () => clearInterval(intervalId)
-    }, [])
+    /**
+     * Check & Send right away, the same as the attached sender does whenever the queue changes
+     * @param {boolean} intervalElapsed - The timeInterval has passed, so whatever is pending goes out
+     */
+    function check(intervalElapsed = false) {
+        logInternal('trace', 'useLoggerSender.check')
+        if (!mainInstanceSends) return
+        /**A failed batch waits for its scheduled retry, and a jammed key waits to be driven */
+        if (store.get(eventLogRetryAtomFamily(key)).timeoutId !== null) return
+        if (isPaused(store.get(eventLogsPausedAtom), key, 'sending')) return
+        const pending = (store.get(eventLogPendingSendAtomFamily(generateEventLogAtomKey(key))) || []).length
+        if (pending >= param.pendingSendMax || (intervalElapsed === true && pending > 0)) send()
+    }
+    //
+    /**
+     * Register this instance as the sender of its key (so sendAll() can reach it from anywhere), which checks its queue as it changes & every so often.
+     * It's attached again when the options of its schedule change; send() & prepFn always use the latest param (e.g. retry).
+     */
+    const sendRef = useRef(send)
+    sendRef.current = send
+    const paramRef = useRef(param)
+    paramRef.current = param
+    if (mainInstanceSends) useEffect(() => attachEventLogSender(store, key, {
+        send: overrideLogic => sendRef.current(overrideLogic),
+        pendingSendMax: param.pendingSendMax,
+        timeInterval: param.timeInterval,
+        schedule: param.schedule,
+        prepFn: batch => paramRef.current.prepFn(batch)
+    }), [key, param.pendingSendMax, param.timeInterval, stableKeyOf(param.schedule)])
 
     /**
      * Navigation and Link Handling
@@ -546,23 +3208,18 @@ export default function useLoggerSender(keyOrSendFn = undefined, paramOrSendFn =
      * @returns {Promise<Object>} Send operation results
      * 
      * Process Flow:
-     * 1. Collect logs from specified keys (or all if none specified)
-     * 2. Group logs by key for efficient processing
-     * 3. Send logs in batches using Promise.all
-     * 4. Handle success/failure for each batch
-     * 5. Clear sent logs and update storage
+     * 1. Collect logs from specified keys (or all the keys with a sender if none specified)
+     * 2. Send each key's batch through the send function registered by its main instance, all at once
+     * 3. Resolve with the success/failure of each key (see sendAllEventLogs)
      * 
      * Error Handling:
-     * - Implements retry logic for failed sends
-     * - Tracks partial successes/failures
-     * - Maintains failed logs for retry
+     * - Failed batches are retried & dead-lettered like any other send
+     * - Keys without a registered sender are reported as 'no-sender'
      */
     const sendAll = (onlyTheseKeys = []) => {
-        // TODO: Implement full batch sending logic
-        console.error('Function not complete yet // 2023-01-14')
-        // 1. Gather logs from specified keys
-        // 2. Process in batches
-        // 3. Handle success/failure
+        logInternal('trace', 'useLoggerSender.sendAll')
+        onlyTheseKeys = (Array.isArray(onlyTheseKeys)? onlyTheseKeys : [onlyTheseKeys]).map(sanitizeRawKey)
+        return sendAllEventLogs(store, onlyTheseKeys.length > 0? onlyTheseKeys : keysWithSenders(store, store.get(eventLogsAtom)))
     }
 
     /**
@@ -582,11 +3239,7 @@ export default function useLoggerSender(keyOrSendFn = undefined, paramOrSendFn =
      */
     let navigateTo = (href, param = {}) => {
         param = {...navigateToDefaults, ...param}
-        let runFunc = new Promise(resolve => {
-            sendAll(param.onlyTheseKeys)
-            resolve()
-        })
-        return runFunc.then(() => window.open(href || navigateOrLinkToDefaults.href, param.target))
+        return sendAll(param.onlyTheseKeys).then(() => window.open(href || navigateOrLinkToDefaults.href, param.target))
     }
 
     /**
@@ -634,7 +3287,7 @@ export default function useLoggerSender(keyOrSendFn = undefined, paramOrSendFn =
     }
 
     /**Return methods for the user to control some aspects */
-    if (consoleErrors) errors.forEach(console.error)
+    errors.forEach(error => logInternal('error', error))
     return {
         log,
         check,
@@ -642,76 +3295,137 @@ export default function useLoggerSender(keyOrSendFn = undefined, paramOrSendFn =
         navigateTo,
         LinkTo,
         clear,
+        sendAll,
         events,
-        errors
+        errors: [...errors, ...validationErrors, ...rejections],
+        paused: {
+            pauseLogging: isPaused(eventLogsPaused, key, 'logging'),
+            pauseSending: isPaused(eventLogsPaused, key, 'sending')
+        },
+        retry: {
+            attempts: retryState.attempts,
+            nextAttemptAt: retryState.nextAttemptAt,
+            lastError: retryState.lastError
+        }
     }
 }
 //
 /**A simplified instance (not main instance) which only logs from app components, without subscribing to the log state. */
 export const useLogger = (key = undefined) => useLoggerSender(key)
+//
+/**
+ * Read & change the log context which is stamped onto every event's metadata when it's logged
+ * (userId, tenant, appVersion, buildSha & custom dimensions). Events which are already queued keep the context they were logged with.
+ * @returns {Object} {context, set, merge, clear}
+ */
+export const useLogContext = () => {
+    const [context, setContext] = useAtom(eventLogContextAtom)
+    return {
+        context,
+        /**Replace the whole context */
+        set: (newContext = {}) => setContext(sanitizeLogContext(newContext)),
+        /**Change only the provided fields (dimensions are merged too) */
+        merge: (someContext = {}) => setContext(current => sanitizeLogContext({
+            ...current,
+            ...someContext,
+            dimensions: {...current.dimensions, ...isObject(someContext) && isObject(someContext.dimensions)? someContext.dimensions : {}}
+        })),
+        clear: () => setContext(logContextDefaults)
+    }
+}
+//
+/**
+ * The current session when <LogRiver session> is enabled
+ * @returns {Object|null} {id, startedAt, lastActivityAt} or null
+ */
+export const useSession = () => {
+    const session = useAtomValue(eventLogSessionAtom)
+    if (!session || session.ended) return null
+    const {id, startedAt, lastActivityAt} = session
+    return {id, startedAt, lastActivityAt}
+}
+//
+/**
+ * Adapter for routers (React Router & the like) so page_view events record route templates ('/users/:id') instead of concrete urls.
+ * Call it in a component which re-renders on navigation, e.g. `usePageViewRoute(useMatches())` or `usePageViewRoute(matchRoutes(routes, location))`.
+ * @param {string|Object|Object[]} route - A template string, a match {pathname, params}, or an array of matches
+ */
+export const usePageViewRoute = (route = null) => {
+    const setRoute = useSetAtom(eventLogRouteAtom)
+    const flush = useSetAtom(eventLogPageViewFlushAtom)
+    const template = routeTemplateFrom(route)
+    const pathname = typeof window === 'undefined'? null : window.location.pathname
+    useEffect(() => {
+        setRoute({pathname, template})
+        flush({fromRoute: true})
+    }, [pathname, template])
+    useEffect(() => () => setRoute(null), [])
+}
+
+//
+/**
+ * Log web performance metrics (LCP, CLS, INP, FCP, TTFB) & long tasks through the queue of a key,
+ * with the same metadata & context as every other event. Each metric is logged once its value is final (CLS & INP again if they grow).
+ * @param {string} key - The log key ('performance' by default)
+ * @param {Object} options - {metrics, code, longTasks, longTaskCode} (see performanceDefaults)
+ */
+export const usePerformanceLogging = (key = performanceDefaults.key, options = {}) => {
+    key = sanitizeRawKey(key)
+    const logEvent = useSetAtom(eventLogPendingAdderAtomFamily(key))
+    const {metrics, code, longTasks, longTaskCode} = {...performanceDefaults, ...isObject(options)? options : {}}
+    /**Survives remounts (StrictMode), so a final value isn't logged twice */
+    const reportedRef = useRef({})
+    useEffect(() => observePerformance(
+        metric => {
+            if (reportedRef.current[metric.name] === metric.value) return
+            reportedRef.current[metric.name] = metric.value
+            logEvent({code, info: metric.name, data: metric})
+        },
+        longTask => logEvent({code: longTaskCode, data: longTask}),
+        {metrics, longTasks}
+    ), [key, JSON.stringify(metrics), code, longTasks, longTaskCode])
+}
 
 
 /**
- * Have instances of log batch senders which look over multiple Log key's
- * 
- * TODO: Interval Setting Enhancement
- * Current Implementation:
- * - Basic interval checking through useEffect
- * - Fixed interval timing
- * 
- * Planned Enhancement:
- * - Dynamic interval configuration
- * - Per-key interval settings
- * - Adaptive interval based on log volume
- * 
- * Configuration Options:
- * @typedef {Object} IntervalConfig
- * @property {number} baseInterval - Base interval in milliseconds
- * @property {number} minInterval - Minimum interval allowed
- * @property {number} maxInterval - Maximum interval allowed
- * @property {Object} keyIntervals - Per-key custom intervals
- * @property {boolean} adaptiveMode - Enable/disable adaptive timing
- * @property {Object} adaptiveConfig - Configuration for adaptive timing
- * 
- * Implementation Steps:
- * 1. Add interval configuration to options object
- * 2. Implement interval management system
- * 3. Add per-key interval override capability
- * 4. Develop adaptive interval algorithm
- * 5. Add interval adjustment based on:
- *    - Log volume
- *    - Network conditions
- *    - Server response times
+ * Have instances of log batch senders which look over multiple Log key's: jam & drive them, send or clear them,
+ * handle their dead letters & rejections, and set their minimum levels.
+ * When each key sends is set on its main instance, e.g. useLoggerSender(key, sendFn, {timeInterval, schedule: {minInterval, maxInterval, maxAge, adaptive}})
  * 
- * @param {Object} options - Configuration options including interval settings
+ * @param {Object} options
+ * @param {string|string[]} options.keys - The log keys to drive (every log key by default)
  * @returns {Object} The log batch sender instance
  */
 export function useLogDriver(options = {}) {
+    const store = useStore()
+    /**Diagnostics of the driver, written by the internal logger (see <LogRiver logger>) */
+    const logInternal = (level, ...details) => internalLog(store.get(logRiverConfigAtom).logger, level, ...details)
     const logDrive = useSetAtom(eventLogDriverAtom)
     //
-    const [eventLogsPaused, setEventLogsPaused] = useAtom(eventLogsPausedAtom)
-    const resetEventLogsPaused = () => setEventLogsPaused([])
-    if (debug) console.info(packageName, 'eventLogsPaused', eventLogsPaused)
+    const eventLogsPaused = useAtomValue(eventLogsPausedAtom)
+    /**Keys jammed for logging, sending or both */
+    const jammedKeys = Object.keys(eventLogsPaused)
+    logInternal('debug', 'eventLogsPaused', eventLogsPaused)
     //
     const eventLogClearerReset = useSetAtom(eventLogClearerAtom)
     //
     /**All keys in the system */
     const [logKeys, setLogKeys] = useAtom(eventLogsAtom)
-    if (debug) console.info(packageName, 'logKeys', logKeys)
+    logInternal('debug', 'logKeys', logKeys)
     //
     const reduceToExistingKeys = useReduceToExistingKeysSelector()
     //
     let keys = logKeys//logs.map(({key}) => key)
     //
     const [allLogDriverKeys, setAllLogDriverKeys] = useAtom(logDriversAtom)
-    if (debug) console.info(packageName, 'allLogDriverKeys', allLogDriverKeys)
+    logInternal('debug', 'allLogDriverKeys', allLogDriverKeys)
     //
 
     let driveTheseKeys = !options.keys ? (logKeys.length > 0 ? logKeys : [defaultKey])
         : typeof options.keys === 'string' ? [options.keys]
         : Array.isArray(options.keys) ? options.keys
         : [defaultKey]
-    if (debug) console.info(packageName, 'driveTheseKeys', driveTheseKeys)
+    logInternal('debug', 'driveTheseKeys', driveTheseKeys)
     
     /**Add any missing keys to all keys */
     let missingLogKeys = driveTheseKeys.filter(key => !logKeys.includes(key))
@@ -727,7 +3441,7 @@ export function useLogDriver(options = {}) {
 
     /**Control all collected events over all keys */
     let clear = (clearTheseLogs = []) => {
-        if (debug) console.count('useLogDriver.clear')
+        logInternal('trace', 'useLogDriver.clear')
         /**Delete all event logs for all keys */
         if (clearTheseLogs.length > 0) clearTheseLogs.forEach(eventLogClearerReset)
         /**Else only clear */
@@ -737,12 +3451,13 @@ export function useLogDriver(options = {}) {
     /**Dam the river.
      * This is useful if the App wants to temporarily cut off adding more into memory or onto its network requests.
      * You can even deactivate log sending for log-keys that you haven't specified the driver to look after.
+     * `prevent` is 'logging' (new events are dropped), 'sending' (events are kept, but not sent) or both.
      */
     let jam = (
         deactivate = allLogDriverKeys,
         prevent = ['logging', 'sending']
     ) => {
-        if (debug) console.count('useLogDriver.jam')
+        logInternal('trace', 'useLogDriver.jam')
         logDrive({
             type: 'jam', 
             keys: typeof deactivate === 'boolean'? !deactivate? [] : allLogDriverKeys.length > 0? allLogDriverKeys : logKeys
@@ -752,16 +3467,61 @@ export function useLogDriver(options = {}) {
         })
     }
 
+    /**
+     * Dead-letter queue
+     * Batches that failed every retry are kept per key, so they can be inspected, sent again or dropped.
+     */
+    const deadLetters = useAtomValue(eventLogDeadLettersGetterAtomFamily(driveTheseKeys))
+    /**Events the sendFn rejected for good, per key (see defaultParam.onRejected) */
+    const rejected = useAtomValue(eventLogRejectionsGetterAtomFamily(driveTheseKeys))
+    const deadLetterKeys = (keys = []) => {
+        keys = (Array.isArray(keys)? keys : [keys]).map(sanitizeRawKey)
+        return keys.length > 0? keys : driveTheseKeys
+    }
+    /**Put dead-lettered batches back into their queues, in front of newer events */
+    let replayDeadLetters = (keys = []) => {
+        logInternal('trace', 'useLogDriver.replayDeadLetters')
+        logDrive({type: 'replay', keys: deadLetterKeys(keys)})
+    }
+    /**Discard dead-lettered batches for good */
+    let dropDeadLetters = (keys = []) => {
+        logInternal('trace', 'useLogDriver.dropDeadLetters')
+        logDrive({type: 'drop', keys: deadLetterKeys(keys)})
+    }
+
+    /**
+     * Minimum levels
+     * Events below the minimum level of their key (or the one of every key, '*') are left out, e.g. setMinLevel('*', 'warn') in production.
+     */
+    const minLevels = useAtomValue(eventLogMinLevelsAtom)
+    const setMinLevelOf = useSetAtom(eventLogMinLevelSetterAtom)
+    /**Change the minimum level of log keys ('*' for every key without its own). A null level removes it. */
+    let setMinLevel = (keys = '*', level = null) => {
+        logInternal('trace', 'useLogDriver.setMinLevel')
+        setMinLevelOf({
+            keys: (Array.isArray(keys)? keys : [keys]).map(key => key === '*'? key : sanitizeRawKey(key)),
+            level
+        })
+    }
+
     /* Sending */
-    const sendFn = null
-    const sendAll = Function()
+    /**
+     * Send the pending events of the driven keys which have a sender (or of the ones provided) through each key's registered sender
+     * @param {string[]} onlyTheseKeys
+     * @returns {Promise<Object>} Results by key, see sendAllEventLogs()
+     */
+    let sendAll = (onlyTheseKeys = []) => {
+        logInternal('trace', 'useLogDriver.sendAll')
+        onlyTheseKeys = (Array.isArray(onlyTheseKeys)? onlyTheseKeys : [onlyTheseKeys]).map(sanitizeRawKey)
+        return sendAllEventLogs(store, onlyTheseKeys.length > 0? onlyTheseKeys : keysWithSenders(store, driveTheseKeys))
+    }
     
     /**If the user "logs out" and all events should be deactivated and cleared*/
     let logout = (unloadAll = false) => {
-        if (debug) console.count('useLogDriver.logout')
+        logInternal('trace', 'useLogDriver.logout')
         if (unloadAll) {
             /**Send all logs  */
-            if (sendFn) sendAll()
+            return sendAll()
         } else {
             /**All events for all event log keys end */
             jam(true)
@@ -770,61 +3530,25 @@ export function useLogDriver(options = {}) {
     }
     
     /**Tell the driver the log uploading or logging can continue
+     * `resume` is 'logging', 'sending' or both, the opposite of jam()'s `prevent`.
      */
-    let drive = (unpauseTheseKeys = []) => {
-        if (debug) console.count('useLogDriver.drive')
+    let drive = (
+        unpauseTheseKeys = [],
+        resume = ['logging', 'sending']
+    ) => {
+        logInternal('trace', 'useLogDriver.drive')
         /**First, clean up the parameter */
-        unpauseTheseKeys = sanitizeRawKey(unpauseTheseKeys)
-        //
-        // if (['string', 'number', 'bigint'].includes(typeof unpauseTheseKeys) && unpauseTheseKeys.length > 0) unpauseTheseKeys = [`${unpauseTheseKeys}`]
-        // else if (!Array.isArray(unpauseTheseKeys)) unpauseTheseKeys = []
-        //
-        /**If none provided, un-pause all event log keys */
-        if (unpauseTheseKeys.length === 0) resetEventLogsPaused()
-        /**Else remove only the specified keys from beign paused */
-        else setEventLogsPaused(eventLogsPaused.filter(pausedLog => !unpauseTheseKeys.includes(pausedLog)))
+        unpauseTheseKeys = (Array.isArray(unpauseTheseKeys)? unpauseTheseKeys : [unpauseTheseKeys])
+            .filter(key => key !== undefined && key !== null && key !== '')
+            .map(sanitizeRawKey)
+        /**If none provided, un-pause all event log keys. Else only the specified keys. */
+        logDrive({
+            type: 'drive',
+            keys: unpauseTheseKeys,
+            prevent: resume
+        })
     }
 
-    /**
-     * TODO: useLoggerSender Integration
-     * Current Implementation:
-     * - Basic comment noting need for useLoggerSender capabilities
-     * - No actual integration implemented
-     * 
-     * Planned Enhancement:
-     * - Full integration of useLoggerSender functionality within useLogDriver
-     * - Unified logging and sending interface
-     * 
-     * Integration Components:
-     * 1. Logging Capabilities:
-     *    - Direct log creation and management
-     *    - Batch logging support
-     *    - Log formatting and sanitization
-     * 
-     * 2. Sending Features:
-     *    - Automatic batch sending
-     *    - Manual send triggers
-     *    - Custom send intervals
-     * 
-     * 3. State Management:
-     *    - Log state tracking
-     *    - Send status monitoring
-     *    - Error handling
-     * 
-     * 4. Configuration:
-     *    - Merged options handling
-     *    - Per-instance settings
-     *    - Global defaults
-     * 
-     * Implementation Steps:
-     * 1. Extract core useLoggerSender functionality
-     * 2. Adapt for useLogDriver context
-     * 3. Implement state sharing
-     * 4. Add configuration merging
-     * 5. Test integrated functionality
-     */
-    // const loggerSender = useLoggerSender(options.sendFn || null, {})
-
     /**Object of all logs by key >> Array of each's events */
     const logs = useAtomValue(eventLogsGetterAtomFamily(driveTheseKeys))
     
@@ -832,44 +3556,477 @@ export function useLogDriver(options = {}) {
         logs,
         keys: driveTheseKeys,
         jam,
-        jammed: eventLogsPaused,
+        jammed: jammedKeys,
+        paused: eventLogsPaused,
         drive,
-        driving: driveTheseKeys.filter(key => !eventLogsPaused.includes(key)),
+        driving: driveTheseKeys.filter(key => !jammedKeys.includes(key)),
         clear,
+        sendAll,
         logout,
+        deadLetters,
+        replayDeadLetters,
+        dropDeadLetters,
+        rejected,
+        minLevels,
+        setMinLevel,
         // reset
-        // loggerSender
     }
 }
 
 
+/**
+ * Rehydrates persisted event logs once <LogRiver> mounts, then starts writing every queue change to storage (see leasePersistedEvents())
+ * @param {boolean|string|Object} props.persist - See <LogRiver persist>
+ */
+const LogRiverPersistence = ({persist}) => {
+    const store = useStore()
+    const setStorage = useSetAtom(eventLogStorageAtom)
+    useEffect(() => {
+        const storage = resolveStorageBackend(persist)
+        internalLog(store.get(logRiverConfigAtom).logger, 'debug', '<LogRiver> persist', storage && storage.name)
+        if (!storage) return
+        const stop = leasePersistedEvents(store, storage)
+        return () => {
+            stop()
+            setStorage(null)
+        }
+    }, [])
+    return null
+}
+//
+/**
+ * Flushes every pending event log when the page is hidden or unloaded
+ * @param {Object} props.config - See <LogRiver unloadFlush>
+ */
+const LogRiverUnloadFlush = ({config}) => {
+    const store = useStore()
+    const configRef = useRef(config)
+    configRef.current = config
+    /**The events of keepalive requests still on their way, which the next flush leaves out */
+    const inFlightRef = useRef(new Set())
+    useEffect(() => {
+        const flushConfig = () => ({...unloadFlushDefaults, ...isObject(configRef.current)? configRef.current : {url: configRef.current}})
+        const {events} = flushConfig()
+        if (!flushConfig().url) {
+            internalLog(store.get(logRiverConfigAtom).logger, 'error', '<LogRiver unloadFlush> needs a url')
+            return
+        }
+        const onHide = e => {
+            if (e.type === 'visibilitychange' && document.visibilityState !== 'hidden') return
+            flushEventLogsOnUnload(store, flushConfig(), inFlightRef.current)
+        }
+        const targets = events.map(type => [type === 'visibilitychange'? document : window, type])
+        targets.forEach(([target, type]) => target.addEventListener(type, onHide))
+        return () => targets.forEach(([target, type]) => target.removeEventListener(type, onHide))
+    }, [store])
+    return null
+}
+//
+/**
+ * Seeds the log context with <LogRiver context>, and merges the prop in again whenever it changes.
+ * The store of a log driver already has the driver's context, so the prop is merged into it from the start instead.
+ * @param {Object} props.context - See logContextDefaults
+ * @param {boolean} props.driven - Whether the store belongs to a log driver
+ */
+const LogRiverContext = ({context, driven = false}) => {
+    useHydrateAtoms(driven? [] : [[eventLogContextAtom, sanitizeLogContext(context)]])
+    const {merge} = useLogContext()
+    const firstRender = useRef(true)
+    const serialized = JSON.stringify(context)
+    useEffect(() => {
+        if (firstRender.current && !driven) firstRender.current = false
+        else merge(context)
+    }, [serialized])
+    return null
+}
+//
+/**
+ * Seeds the minimum levels with <LogRiver minLevel>, and sets them again whenever the prop changes (undoing setMinLevel())
+ * @param {string|Object} props.minLevel - A level for every key, or {[key | '*']: level}
+ */
+const LogRiverMinLevels = ({minLevel}) => {
+    useHydrateAtoms([[eventLogMinLevelsAtom, sanitizeMinLevels(minLevel)]])
+    const setMinLevels = useSetAtom(eventLogMinLevelsAtom)
+    const firstRender = useRef(true)
+    const serialized = JSON.stringify(minLevel)
+    useEffect(() => {
+        if (firstRender.current) firstRender.current = false
+        else setMinLevels(sanitizeMinLevels(minLevel))
+    }, [serialized])
+    return null
+}
+//
+/**
+ * Starts (or picks up) the session once <LogRiver> mounts, and ends it once it expires without activity
+ * @param {Object} props.config - See sessionDefaults
+ */
+const LogRiverSession = ({config}) => {
+    const touch = useSetAtom(eventLogSessionTouchAtom)
+    const end = useSetAtom(eventLogSessionEndAtom)
+    const store = useStore()
+    useEffect(() => {
+        touch()
+        const clock = store.get(logRiverConfigAtom).clock || systemClock
+        const intervalId = clock.setInterval(() => {
+            const session = store.get(eventLogSessionAtom)
+            const storage = sessionStorageFor(config)
+            const latest = (storage && JSON.parse(storage.getItem(sessionStorageKey) || 'null')) || session
+            const now = clock.now()
+            if (latest && !latest.ended && sessionExpired(latest, now, config)) end(
+                now - latest.lastActivityAt > config.timeout? 'timeout' : 'midnight'
+            )
+        }, Math.min(config.timeout, 60000))
+        return () => clock.clearInterval(intervalId)
+    }, [config.timeout, config.rolloverAtMidnight, config.key])
+    return null
+}
+//
+/**
+ * Logs page views: the first page once <LogRiver> mounts, then every history.pushState/replaceState, popstate & hashchange
+ * @param {Object} props.config - See pageViewDefaults
+ */
+const LogRiverPageViews = ({config}) => {
+    const store = useStore()
+    useEffect(() => {
+        let timeoutId = null
+        /**usePageViewRoute() logs the page view once it knows the route, this is the fallback */
+        const flushLater = () => {
+            clearTimeout(timeoutId)
+            timeoutId = setTimeout(() => store.set(eventLogPageViewFlushAtom), store.get(eventLogRouteAtom)? config.routeTimeout : 0)
+        }
+        const onNavigate = navigationType => {
+            if (store.set(eventLogPageViewNavigateAtom, navigationType)) flushLater()
+        }
+        onNavigate('initial')
+        /**The page view is still pending when an earlier run of this effect cleared its fallback (StrictMode, or a change of config) */
+        if (timeoutId === null && store.get(eventLogPageViewAtom).pending) flushLater()
+        const {pushState, replaceState} = window.history
+        const patchedPushState = function (...args) {
+            const result = pushState.apply(this, args)
+            onNavigate('push')
+            return result
+        }
+        const patchedReplaceState = function (...args) {
+            const result = replaceState.apply(this, args)
+            if (config.replaceState) onNavigate('replace')
+            return result
+        }
+        window.history.pushState = patchedPushState
+        window.history.replaceState = patchedReplaceState
+        const onPopState = () => onNavigate('pop')
+        const onHashChange = () => onNavigate('hash')
+        window.addEventListener('popstate', onPopState)
+        window.addEventListener('hashchange', onHashChange)
+        return () => {
+            clearTimeout(timeoutId)
+            /**Only undo our own patch, in case something else patched history after us */
+            if (window.history.pushState === patchedPushState) window.history.pushState = pushState
+            if (window.history.replaceState === patchedReplaceState) window.history.replaceState = replaceState
+            window.removeEventListener('popstate', onPopState)
+            window.removeEventListener('hashchange', onHashChange)
+        }
+    }, [store, config.key, config.hash, config.replaceState])
+    return null
+}
+//
+/**
+ * Logs uncaught errors & unhandled promise rejections
+ * @param {Object} props.config - See errorCaptureDefaults
+ */
+const LogRiverErrorCapture = ({config}) => {
+    const logError = useSetAtom(eventLogErrorAdderAtom)
+    useEffect(() => {
+        const onError = e => logError({
+            key: config.key,
+            error: e.error !== undefined && e.error !== null? e.error : e.message,
+            source: 'window',
+            data: {filename: e.filename || null, lineno: e.lineno || null, colno: e.colno || null}
+        })
+        const onUnhandledRejection = e => logError({key: config.key, error: e.reason, source: 'unhandledrejection'})
+        if (config.windowErrors) window.addEventListener('error', onError)
+        if (config.unhandledRejections) window.addEventListener('unhandledrejection', onUnhandledRejection)
+        return () => {
+            window.removeEventListener('error', onError)
+            window.removeEventListener('unhandledrejection', onUnhandledRejection)
+        }
+    }, [config.key, config.windowErrors, config.unhandledRejections])
+    return null
+}
+//
+/**
+ * Logs web performance metrics for <LogRiver performance>
+ * @param {Object} props.config - See performanceDefaults
+ */
+const LogRiverPerformance = ({config}) => {
+    usePerformanceLogging(config.key, config)
+    return null
+}
+//
+/**
+ * Coordinates this tab with the other tabs of the app, so only one of them sends
+ * @param {Object} props.config - See multiTabDefaults
+ */
+const LogRiverMultiTab = ({config}) => {
+    const store = useStore()
+    useEffect(() => coordinateTabs(store, config), [store, config.channel, config.heartbeat, config.leaseTimeout, config.electionTimeout, config.ackTimeout])
+    return null
+}
+//
+/**
+ * Keeps logRiverConfigAtom in sync with the props of <LogRiver>.
+ * The first render hydrates the atom, so events logged by children's first effects are already handled with it.
+ * @param {Object} props.config - See logRiverConfigDefaults
+ */
+const LogRiverConfig = ({config}) => {
+    useHydrateAtoms([[logRiverConfigAtom, config]])
+    const setConfig = useSetAtom(logRiverConfigAtom)
+    useEffect(() => setConfig(config), [config])
+    return null
+}
+//
 /**
  * Wrap the application in a LogRiver component
+ * @param {Object} props.driver - A log driver of createLogDriver() to share its queues & senders with non-React code.
+ *   Its options replace the sampling, redact, plugins, schemas, limits, clock, session & minLevel props (and logger, unless it's provided).
  * @param {QueryClient} props.queryClient - An instance of QueryClient
+ * @param {boolean|string|Object} props.persist - Keep pending event logs across reloads & crashes: true | 'localStorage' | 'indexedDB' | a custom storage backend
+ * @param {string|Object} props.unloadFlush - Send pending event logs when the page is hidden or unloaded: the endpoint url, or an object (see unloadFlushDefaults)
+ * @param {Object[]} props.sampling - Sampling & rate limiting rules per key and event code (see samplingRuleDefaults)
+ * @param {Object} props.clock - Replace the clock of sends, interval checks & retries: {now, setTimeout, clearTimeout, setInterval, clearInterval} (for tests)
+ * @param {Object} props.limits - Caps on the pending events per key & in total, by count & estimated bytes, and the overflow policy (see queueLimitDefaults)
+ * @param {Object} props.schemas - Schemas of the events per key & code, & what happens to events which don't match (see schemaDefaults & validateEvent)
+ * @param {boolean|Object|Function} props.redact - Remove personal data from events before they're queued: true for the defaults, options for createRedactor(), or your own function
+ * @param {Object[]} props.plugins - Plugins with beforeLog, beforeSend, afterSend & onError hooks, for all or selected keys (see pluginsWithHook)
+ * @param {Object} props.context - The initial log context: {userId, tenant, appVersion, buildSha, dimensions}. Change it later with useLogContext().
+ * @param {boolean|Object} props.session - Track sessions, stamping metadata.sessionId onto every event (see sessionDefaults)
+ * @param {boolean|Object} props.pageViews - Log page_view events for SPA route changes (see pageViewDefaults & usePageViewRoute())
+ * @param {boolean|Object} props.captureErrors - Log uncaught errors & unhandled promise rejections (see errorCaptureDefaults)
+ * @param {boolean|Object} props.multiTab - Only one tab (the elected leader) sends, the others forward their events to it (see multiTabDefaults)
+ * @param {boolean|Object} props.performance - Log web performance metrics & long tasks (see performanceDefaults & usePerformanceLogging())
+ * @param {string|Object} props.minLevel - Leave out events below a level: one level for every key, or {[key | '*']: level}. Change it later with useLogDriver().setMinLevel().
+ * @param {boolean|string|Object} props.logger - Where the library's own diagnostics go & from which level: false for none, a level, or {level, output} (see internalLoggerDefaults)
  * @param {ReactNode} props.children - The application to wrap
  * @returns {ReactNode} The wrapped application
  * */
-export const LogRiver = ({children, queryClient = null}) => {
+export const LogRiver = ({children, driver = null, queryClient = null, persist = false, unloadFlush = null, sampling = logRiverConfigDefaults.sampling, redact = null, plugins = logRiverConfigDefaults.plugins, schemas = null, limits = null, clock = null, context = null, session = null, pageViews = null, captureErrors = null, performance = null, multiTab = null, minLevel = null, logger = null}) => {
+    /**A log driver brings its own store & config, the props only add the browser integrations (& may quiet the library) */
+    const driverStore = isObject(driver) && isObject(driver.store)? driver.store : null
+    /**Props written inline are new objects on every render, so the config only changes (& is written to the store) when their content does */
+    const configProps = {sampling, redact, plugins, schemas, limits, clock, session, pageViews, captureErrors, logger}
+    const config = useMemo(() => {
+        const propsConfig = logRiverConfigFrom(configProps)
+        return driverStore === null? propsConfig
+            : {
+                ...driverStore.get(logRiverConfigAtom),
+                pageViews: propsConfig.pageViews,
+                captureErrors: propsConfig.captureErrors,
+                ...logger !== null? {logger: propsConfig.logger} : {}
+            }
+    }, [driverStore, stableKeyOf(configProps)])
+    const performanceConfig = Boolean(performance)? {...performanceDefaults, ...isObject(performance)? performance : {}} : null
+    const multiTabConfig = Boolean(multiTab) && typeof window !== 'undefined'? {...multiTabDefaults, ...isObject(multiTab)? multiTab : {}} : null
     /**Allow the user to submit their own queryClient */
     const userProvidedQueryClient = isObject(queryClient)
         && ('constructor' in queryClient)
         && ('name' in queryClient.constructor)
         && queryClient.constructor.name === 'QueryClient'
     //
-    if (debug) console.info(packageName, '<LogRiver> userProvidedQueryClient', userProvidedQueryClient)
+    internalLog(config.logger, 'debug', '<LogRiver> userProvidedQueryClient', userProvidedQueryClient)
     //
     if (!userProvidedQueryClient) queryClient = new QueryClient({
         defaultOptions: {
+            /**Failed sends are already logged by sendEventLogBatch(), through the internal logger */
             mutations: {
-                staleTime: Infinity,
-                onError: console.error
+                staleTime: Infinity
             }
         }
     })
 
-    return <JotaiProvider>
+    return <JotaiProvider {...driverStore !== null? {store: driverStore} : {}}>
         <QueryClientProvider client={queryClient}>
+            <LogRiverConfig config={config} />
+            {Boolean(context) && <LogRiverContext context={context} driven={driverStore !== null} />}
+            {driverStore === null && Boolean(minLevel) && <LogRiverMinLevels minLevel={minLevel} />}
+            {Boolean(persist) && <LogRiverPersistence persist={persist} />}
+            {multiTabConfig !== null && <LogRiverMultiTab config={multiTabConfig} />}
+            {config.session !== null && <LogRiverSession config={config.session} />}
+            {config.pageViews !== null && <LogRiverPageViews config={config.pageViews} />}
+            {config.captureErrors !== null && typeof window !== 'undefined' && <LogRiverErrorCapture config={config.captureErrors} />}
+            {performanceConfig !== null && <LogRiverPerformance config={performanceConfig} />}
+            {Boolean(unloadFlush) && <LogRiverUnloadFlush config={unloadFlush} />}
             {children}
         </QueryClientProvider>
     </JotaiProvider>
 }
+//
+/**Error boundaries have to be class components, LogErrorBoundary hands it the logger */
+class LogErrorBoundaryInner extends Component {
+    constructor(props) {
+        super(props)
+        this.state = {error: null}
+        this.reset = this.reset.bind(this)
+    }
+    static getDerivedStateFromError(error) {
+        return {error}
+    }
+    componentDidCatch(error, errorInfo) {
+        this.props.logError({
+            key: this.props.logKey,
+            error,
+            source: 'boundary',
+            componentStack: errorInfo && errorInfo.componentStack? errorInfo.componentStack : null
+        })
+        if (typeof this.props.onError === 'function') this.props.onError(error, errorInfo)
+    }
+    reset() {
+        this.setState({error: null})
+    }
+    render() {
+        const {error} = this.state
+        if (error === null) return this.props.children
+        const {fallback = null} = this.props
+        return typeof fallback === 'function'? fallback({error, reset: this.reset}) : fallback
+    }
+}
+//
+/**
+ * Logs the render errors of its children (with the component stack) through the queue of logKey, then renders the fallback.
+ * Repeats of the same error within the dedupe window are counted rather than logged (see <LogRiver captureErrors>).
+ * @param {string} props.logKey - The log key to queue the errors in ('errors' by default)
+ * @param {ReactNode|Function} props.fallback - What to render instead, or ({error, reset}) => ReactNode
+ * @param {Function} props.onError - Also called with (error, errorInfo)
+ * @param {ReactNode} props.children - The components to guard
+ * @returns {ReactNode} The children, or the fallback after an error
+ */
+export const LogErrorBoundary = ({logKey = errorCaptureDefaults.key, fallback = null, onError = null, children}) => {
+    const logError = useSetAtom(eventLogErrorAdderAtom)
+    return <LogErrorBoundaryInner logKey={sanitizeRawKey(logKey)} logError={logError} fallback={fallback} onError={onError}>
+        {children}
+    </LogErrorBoundaryInner>
+}
+//
+/**The event of <LogOnClick> & <LogOnView>, leaving out the props which weren't provided */
+const declarativeEvent = (props = {}) => Object.fromEntries(Object.entries(props).filter(([, value]) => value !== undefined))
+//
+/**
+ * Logs an event whenever its child is clicked, without wiring a logger into the handler.
+ * A single element child gets the onClick itself, anything else is wrapped in `as`.
+ * @param {string} props.logKey - The log key (like useLogger(logKey))
+ * @param {string} props.code - The event code
+ * @param {string} props.info - The event info
+ * @param {Object} props.data - The event data
+ * @param {Object} props.metadata - Metadata of your own
+ * @param {string} props.as - The element to wrap children which aren't a single element ('span' by default)
+ * @param {ReactNode} props.children - What to log clicks on
+ * @returns {ReactNode} The children, with the click logged
+ */
+export const LogOnClick = ({logKey = undefined, code = 'click', info = undefined, data = undefined, metadata = undefined, as = 'span', children}) => {
+    const logger = useLogger(logKey)
+    /**The deferred-function mode of log(), so the event is only logged on click */
+    const logClick = logger(declarativeEvent({code, info, data, metadata}), true)
+    if (isValidElement(children)) return cloneElement(children, {
+        onClick: (...args) => {
+            if (typeof children.props.onClick === 'function') children.props.onClick(...args)
+            logClick()
+        }
+    })
+    const Wrapper = as
+    return <Wrapper onClick={() => logClick()}>{children}</Wrapper>
+}
+//
+/**Impressions already logged in this browser session: {[impressionId]: sessionId | true} */
+const impressionsStorageKey = `${packageName}:impressions`
+const readImpressions = () => {
+    try {
+        return JSON.parse((typeof sessionStorage !== 'undefined' && sessionStorage.getItem(impressionsStorageKey)) || '{}')
+    } catch (error) {
+        return {}
+    }
+}
+//
+/**
+ * Logs an impression once its children have been at least `threshold` visible for `minVisibleMs` (with IntersectionObserver).
+ * The impression is logged once per mount, or with once="session" once per session (the <LogRiver session> when enabled, else the browser session).
+ * @param {string} props.logKey - The log key (like useLogger(logKey))
+ * @param {string} props.code - The event code
+ * @param {string} props.info - The event info
+ * @param {Object} props.data - The event data
+ * @param {Object} props.metadata - Metadata of your own
+ * @param {number} props.threshold - The ratio of the element which has to be visible (0 to 1)
+ * @param {number} props.minVisibleMs - Milliseconds it has to stay visible
+ * @param {string} props.once - 'mount' | 'session'
+ * @param {string} props.impressionId - Identifies the impression for once="session" (logKey, code & data by default)
+ * @param {string} props.as - The element which wraps & is observed ('div' by default)
+ * @param {ReactNode} props.children - What to track impressions of
+ * @returns {ReactNode} The wrapped children
+ */
+export const LogOnView = ({logKey = undefined, code = 'view', info = undefined, data = undefined, metadata = undefined, threshold = 0.5, minVisibleMs = 1000, once = 'mount', impressionId = undefined, as = 'div', children}) => {
+    const logger = useLogger(logKey)
+    const session = useSession()
+    const elementRef = useRef(null)
+    const logViewRef = useRef(null)
+    const loggedRef = useRef(false)
+    logViewRef.current = logger(declarativeEvent({code, info, data, metadata}), true)
+    const id = impressionId || `${sanitizeRawKey(logKey || defaultKey)}:${code}:${JSON.stringify(data === undefined? null : data)}`
+    const sessionId = session? session.id : true
+    useEffect(() => {
+        const element = elementRef.current
+        if (!element || typeof IntersectionObserver === 'undefined') return
+        if (loggedRef.current || (once === 'session' && readImpressions()[id] === sessionId)) return
+        let timeoutId = null
+        const observer = new IntersectionObserver(([entry]) => {
+            const visible = entry.isIntersecting && entry.intersectionRatio >= threshold
+            if (!visible || loggedRef.current) {
+                clearTimeout(timeoutId)
+                timeoutId = null
+                return
+            }
+            if (timeoutId !== null) return
+            timeoutId = setTimeout(() => {
+                loggedRef.current = true
+                observer.disconnect()
+                if (once === 'session') {
+                    if (readImpressions()[id] === sessionId) return
+                    if (typeof sessionStorage !== 'undefined') sessionStorage.setItem(impressionsStorageKey, JSON.stringify({...readImpressions(), [id]: sessionId}))
+                }
+                logViewRef.current()
+            }, minVisibleMs)
+        }, {threshold: [0, threshold].filter((value, i, values) => values.indexOf(value) === i)})
+        observer.observe(element)
+        return () => {
+            clearTimeout(timeoutId)
+            observer.disconnect()
+        }
+    }, [id, threshold, minVisibleMs, once, sessionId])
+    const Wrapper = as
+    return <Wrapper ref={elementRef}>{children}</Wrapper>
+}
+//
+/**
+ * The atoms & functions <LogRiverInspector> (react-log-driver-inspector.js) reads & drives the log river with.
+ * They aren't a stable API: the inspector ships with the library, & lives in its own module so production builds can leave it out.
+ */
+export const logRiverInternals = Object.freeze({
+    packageName,
+    logRiverConfigAtom,
+    eventLogsAtom,
+    eventLogsPausedAtom,
+    eventLogMinLevelsAtom,
+    eventLogKeyAdderAtom,
+    eventLogPendingAdderAtomFamily,
+    eventLogPendingSendAtomFamily,
+    generateEventLogAtomKey,
+    eventLogSendingAtomFamily,
+    eventLogRetryAtomFamily,
+    eventLogDeadLetterAtomFamily,
+    eventLogSendersAtom,
+    eventLogScheduleAtom,
+    eventLogLastSendAtomFamily,
+    eventLogValidationErrorsAtomFamily,
+    eventLogRejectionsAtomFamily,
+    eventLogOverflowAtom,
+    eventLogTabsAtom,
+    eventLogDriverAtom,
+    eventLogClearerAtom,
+    sendAllEventLogs
+})
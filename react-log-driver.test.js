@@ -0,0 +1,999 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { act, cleanup, fireEvent, render, screen } from '@testing-library/react'
+import { useEffect } from 'react'
+import { useStore } from 'jotai'
+import useLoggerSender, { LogErrorBoundary, LogOnClick, LogOnView, LogRiver, classifyHttpStatus, createHttpTransport, createLogDriver, createRedactor, logRiverInternals, useLogContext, useLogDriver } from './react-log-driver'
+import { createTestClock, createTestLogRiver } from './react-log-driver-testing'
+
+/**Logs through a component, like an app would */
+let log = null
+const Logger = ({logKey}) => {
+    log = useLoggerSender(logKey)
+    return null
+}
+//
+const renderRiver = (options = {}, logKey = 'forms') => {
+    const river = createTestLogRiver(options)
+    render(<Logger logKey={logKey} />, {wrapper: river.Wrapper})
+    return river
+}
+//
+/**Renders a logger along with useLogDriver(options), which ends up in `driver` */
+let driver = null
+const Driver = ({options}) => {
+    driver = useLogDriver(options)
+    return null
+}
+const renderDriver = (options = {}, driverOptions = {keys: ['forms']}) => {
+    const river = createTestLogRiver(options)
+    render(<><Logger logKey="forms" /><Driver options={driverOptions} /></>, {wrapper: river.Wrapper})
+    return river
+}
+//
+/**A main instance of its own, for the schedule options of useLoggerSender() */
+const Scheduled = ({river, options}) => {
+    log = useLoggerSender('forms', river.transport.sendFn('forms'), options)
+    return null
+}
+const renderScheduled = options => {
+    const river = createTestLogRiver({senders: false})
+    const {rerender} = render(<Scheduled river={river} options={options} />, {wrapper: river.Wrapper})
+    river.rerender = nextOptions => rerender(<Scheduled river={river} options={nextOptions} />)
+    return river
+}
+//
+const codesOf = events => events.map(({code}) => code)
+//
+/**Stand in for navigator.sendBeacon(), which accepts the requests accept() returns true for. Resolves the bodies of every request it was given. */
+const stubBeacon = (accept = () => true) => {
+    const bodies = []
+    navigator.sendBeacon = (url, blob) => {
+        bodies.push(new Promise(resolve => {
+            const reader = new FileReader()
+            reader.onload = () => resolve(JSON.parse(reader.result))
+            reader.readAsText(blob)
+        }))
+        return accept(bodies.length)
+    }
+    return () => {
+        delete navigator.sendBeacon
+        return Promise.all(bodies)
+    }
+}
+//
+const hidePage = () => act(async () => {
+    window.dispatchEvent(new window.Event('pagehide'))
+})
+
+beforeEach(() => {
+    localStorage.clear()
+    sessionStorage.clear()
+    window.history.replaceState({}, '', '/')
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'info').mockImplementation(() => {})
+    vi.spyOn(console, 'debug').mockImplementation(() => {})
+})
+afterEach(() => {
+    cleanup()
+    vi.restoreAllMocks()
+    vi.unstubAllGlobals()
+    log = null
+    driver = null
+})
+
+
+describe('sending', () => {
+    it('sends what is pending when the interval comes around', async () => {
+        const river = renderRiver({timeInterval: 15000})
+        await river.log('forms', {code: 'signup_click', data: {plan: 'pro'}})
+        river.expectLogged('forms', {code: 'signup_click', data: {plan: 'pro'}})
+        await river.advance(14999)
+        expect(river.getBatches('forms')).toHaveLength(0)
+        await river.advance(1)
+        expect(river.getBatches('forms')).toHaveLength(1)
+        expect(codesOf(river.getSent('forms'))).toEqual(['signup_click'])
+        expect(river.getPending('forms')).toHaveLength(0)
+    })
+    //
+    it('sends once pendingSendMax events are pending', async () => {
+        const river = renderRiver({pendingSendMax: 3})
+        await act(async () => {
+            log('a')
+            log('b')
+            log('c')
+        })
+        await river.advance(0)
+        expect(river.getBatches('forms')).toHaveLength(1)
+        expect(codesOf(river.getSent('forms'))).toEqual(['a', 'b', 'c'])
+    })
+    //
+    it('logs from the test without act() warnings', async () => {
+        const errors = vi.spyOn(console, 'error').mockImplementation(() => {})
+        const river = renderRiver({pendingSendMax: 2})
+        await river.log('forms', 'a')
+        await river.log('forms', 'b')
+        await river.advance(0)
+        expect(codesOf(river.getSent('forms'))).toEqual(['a', 'b'])
+        expect(errors.mock.calls.filter(([message]) => String(message).includes('act('))).toEqual([])
+    })
+    //
+    it('sends everything pending with sendAll(), a batch waiting to be retried first', async () => {
+        const river = renderRiver({pendingSendMax: 100})
+        river.transport.failNext()
+        await river.log('forms', 'a')
+        await river.flush('forms')
+        for (const code of ['b', 'c']) await river.log('forms', code)
+        const {forms} = await river.flush('forms')
+        expect(forms).toMatchObject({success: true, status: 'sent', count: 3})
+        expect(river.getBatches('forms').map(({events}) => codesOf(events))).toEqual([['a'], ['b', 'c']])
+        expect(river.getPending('forms')).toHaveLength(0)
+    })
+    //
+    it('leaves the keys without a sender out of useLogDriver().sendAll()', async () => {
+        const river = renderDriver({senders: ['forms']}, {})
+        await river.log('forms', 'a')
+        let results = null
+        await act(async () => {
+            results = await driver.sendAll()
+        })
+        expect(Object.keys(results)).not.toContain('default')
+        expect(codesOf(river.getSent('forms'))).toEqual(['a'])
+    })
+})
+
+
+describe('scheduling', () => {
+    it('sends once an event has waited schedule.maxAge, before the interval', async () => {
+        const river = renderScheduled({pendingSendMax: 100, timeInterval: 60000, schedule: {maxAge: 2000}})
+        await river.log('forms', 'a')
+        await river.advance(1000)
+        await river.log('forms', 'b')
+        await river.advance(999)
+        expect(river.getBatches('forms')).toHaveLength(0)
+        await river.advance(1)
+        expect(river.getBatches('forms').map(({events}) => codesOf(events))).toEqual([['a', 'b']])
+    })
+    //
+    it('shortens the interval as the queue fills up with schedule.adaptive', async () => {
+        const river = renderScheduled({pendingSendMax: 10, timeInterval: 10000, schedule: {minInterval: 1000, maxInterval: 10000, adaptive: true}})
+        for (const code of ['a', 'b', 'c', 'd', 'e']) await river.log('forms', code)
+        /**Half full: halfway between maxInterval & minInterval */
+        await river.advance(5499)
+        expect(river.getBatches('forms')).toHaveLength(0)
+        await river.advance(1)
+        expect(codesOf(river.getSent('forms'))).toEqual(['a', 'b', 'c', 'd', 'e'])
+    })
+    //
+    it('sends nothing by itself while offline, & sends the queue once back online', async () => {
+        const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false)
+        const river = renderScheduled({pendingSendMax: 2, timeInterval: 15000})
+        await river.log('forms', 'a')
+        await river.log('forms', 'b')
+        await river.advance(30000)
+        expect(river.getBatches('forms')).toHaveLength(0)
+        onLine.mockReturnValue(true)
+        await act(async () => {
+            window.dispatchEvent(new window.Event('online'))
+        })
+        await river.advance(0)
+        expect(codesOf(river.getSent('forms'))).toEqual(['a', 'b'])
+    })
+    //
+    it('follows options changed after mount', async () => {
+        const river = renderScheduled({pendingSendMax: 10, timeInterval: 60000})
+        for (const code of ['a', 'b', 'c']) await river.log('forms', code)
+        await river.advance(0)
+        expect(river.getBatches('forms')).toHaveLength(0)
+        river.rerender({pendingSendMax: 3, timeInterval: 60000})
+        await river.advance(0)
+        expect(codesOf(river.getSent('forms'))).toEqual(['a', 'b', 'c'])
+    })
+})
+
+
+describe('jam & drive', () => {
+    it('keeps the events of a key jammed for sending, & sends them once it is driven again', async () => {
+        const river = renderDriver({pendingSendMax: 2})
+        await act(async () => driver.jam(['forms'], ['sending']))
+        expect(driver.jammed).toEqual(['forms'])
+        for (const code of ['a', 'b', 'c']) await river.log('forms', code)
+        const {forms} = await river.flush('forms')
+        expect(forms.status).toBe('jammed')
+        expect(river.getBatches('forms')).toHaveLength(0)
+        expect(codesOf(river.getPending('forms'))).toEqual(['a', 'b', 'c'])
+        await act(async () => driver.drive(['forms']))
+        await river.advance(0)
+        expect(driver.driving).toEqual(['forms'])
+        expect(codesOf(river.getSent('forms'))).toEqual(['a', 'b', 'c'])
+        expect(river.getPending('forms')).toHaveLength(0)
+    })
+    //
+    it('drops what is logged to a key jammed for logging, & logs again once it is driven', async () => {
+        const river = renderDriver({pendingSendMax: 100})
+        await river.log('forms', 'a')
+        await act(async () => driver.jam(['forms'], ['logging']))
+        await river.log('forms', 'dropped')
+        expect(codesOf(river.getPending('forms'))).toEqual(['a'])
+        await act(async () => driver.drive(['forms'], ['logging']))
+        expect(driver.jammed).toEqual([])
+        await river.log('forms', 'b')
+        await river.flush('forms')
+        expect(codesOf(river.getSent('forms'))).toEqual(['a', 'b'])
+        river.expectNotLogged('forms', 'dropped')
+    })
+})
+
+
+describe('log driver', () => {
+    it('logs, sends & tells subscribers outside React', async () => {
+        const driver = createLogDriver({clock: createTestClock(), context: {userId: 'u1'}})
+        const snapshots = []
+        const unsubscribe = driver.subscribe(snapshot => snapshots.push(snapshot))
+        driver.log('api', 'request')
+        driver.log.warn('api', 'slow_request')
+        expect(codesOf(driver.getSnapshot().logs.api)).toEqual(['request', 'slow_request'])
+        expect(snapshots.length).toBeGreaterThan(0)
+        const batches = []
+        const removeSender = driver.addSender('api', async events => {
+            batches.push(events)
+        }, {pendingSendMax: 100})
+        const {api} = await driver.sendAll()
+        expect(api).toMatchObject({success: true, status: 'sent', count: 2})
+        expect(batches.map(codesOf)).toEqual([['request', 'slow_request']])
+        expect(batches[0].map(({level, metadata}) => [level, metadata.userId])).toEqual([['info', 'u1'], ['warn', 'u1']])
+        expect(driver.getSnapshot().logs.api).toHaveLength(0)
+        /**Without its sender, the key isn't sent by sendAll() */
+        removeSender()
+        driver.log('api', 'later')
+        expect(await driver.sendAll()).toEqual({})
+        unsubscribe()
+        const seen = snapshots.length
+        driver.log('api', 'unheard')
+        expect(snapshots).toHaveLength(seen)
+        driver.destroy()
+    })
+    //
+    it('keeps its context when <LogRiver driver> has a context too', async () => {
+        const driver = createLogDriver({context: {userId: 'u1', tenant: 'acme'}})
+        render(<LogRiver driver={driver} context={{appVersion: '2.0.0'}}><Logger logKey="forms" /></LogRiver>)
+        await act(async () => log('a'))
+        expect(driver.getSnapshot().logs.forms[0].metadata).toMatchObject({userId: 'u1', tenant: 'acme', appVersion: '2.0.0'})
+        driver.destroy()
+    })
+})
+
+
+describe('HTTP transport', () => {
+    /**A fetch which answers with the statuses given, one request after the other: 200 once they run out */
+    const fetchResponding = (...statuses) => vi.fn(async () => {
+        const [status, headers = {}] = [].concat(statuses.shift() || 200)
+        return {ok: status >= 200 && status < 300, status, headers: new Headers(headers)}
+    })
+    //
+    it('classifies HTTP statuses', () => {
+        expect([200, 204, 408, 425, 429, 500, 503, 400, 401, 404, 501, 505].map(classifyHttpStatus)).toEqual([
+            'success', 'success', 'retryable', 'retryable', 'retryable', 'retryable', 'retryable', 'fatal', 'fatal', 'fatal', 'fatal', 'fatal'
+        ])
+    })
+    //
+    it('retries 429 & 503, after the Retry-After the server asks for', async () => {
+        const fetch = fetchResponding([429, {'Retry-After': '3'}], [503, {'Retry-After': new Date(Date.now() + 60000).toUTCString()}])
+        const transport = createHttpTransport({url: '/logs', fetch})
+        await expect(transport([{code: 'a'}])).rejects.toMatchObject({code: 'HTTP_RETRYABLE', status: 429, retryable: true, retryAfter: 3000})
+        const error = await transport([{code: 'a'}]).catch(error => error)
+        expect(error).toMatchObject({code: 'HTTP_RETRYABLE', status: 503, retryable: true})
+        expect(error.retryAfter).toBeGreaterThan(55000)
+        expect(error.retryAfter).toBeLessThanOrEqual(60000)
+    })
+    //
+    it('refreshes the auth after a 401 & tries once more with fresh headers', async () => {
+        let token = 'old'
+        const refreshAuth = vi.fn(async () => {
+            token = 'new'
+        })
+        const fetch = fetchResponding(401)
+        const transport = createHttpTransport({url: '/logs', fetch, refreshAuth, headers: () => ({Authorization: token})})
+        await transport([{code: 'a'}])
+        expect(refreshAuth).toHaveBeenCalledTimes(1)
+        expect(fetch.mock.calls.map(([, request]) => request.headers.Authorization)).toEqual(['old', 'new'])
+        /**Only once: a second 401 fails the batch for good */
+        fetch.mockClear()
+        const stillUnauthorized = createHttpTransport({url: '/logs', fetch: fetchResponding(401, 401), refreshAuth})
+        await expect(stillUnauthorized([{code: 'a'}])).rejects.toMatchObject({code: 'HTTP_FATAL', status: 401, retryable: false})
+        expect(refreshAuth).toHaveBeenCalledTimes(2)
+    })
+    //
+    it('moves a batch the server refuses with a 4xx to the dead letters without retrying', async () => {
+        const fetch = fetchResponding(400)
+        const driver = createLogDriver({clock: createTestClock(), senders: {api: createHttpTransport({url: '/logs', fetch})}})
+        driver.log('api', 'a')
+        const result = await driver.send('api')
+        expect(result.status).toBe('dead-lettered')
+        expect(fetch).toHaveBeenCalledTimes(1)
+        expect(codesOf(driver.getSnapshot().deadLetters.api.flatMap(({batch}) => batch))).toEqual(['a'])
+        driver.destroy()
+    })
+    //
+    it('aborts a request after the timeout, as a retryable error', async () => {
+        const fetch = vi.fn((url, {signal}) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+        }))
+        const transport = createHttpTransport({url: '/logs', fetch, timeout: 5})
+        await expect(transport([{code: 'a'}])).rejects.toMatchObject({code: 'TIMEOUT', retryable: true})
+    })
+    //
+    it('sends ndjson, one event per line', async () => {
+        const fetch = fetchResponding(200)
+        await createHttpTransport({url: '/logs', fetch, format: 'ndjson'})([{code: 'a'}, {code: 'b'}])
+        const [, request] = fetch.mock.calls[0]
+        expect(request.headers['Content-Type']).toBe('application/x-ndjson')
+        expect(request.body.split('\n').map(line => JSON.parse(line).code)).toEqual(['a', 'b'])
+    })
+    //
+    it('sends the same Idempotency-Key with every retry of a batch', async () => {
+        const clock = createTestClock()
+        const fetch = fetchResponding(503, 500)
+        const driver = createLogDriver({clock, senders: {api: {sendFn: createHttpTransport({url: '/logs', fetch}), retry: {baseDelay: 1000, jitter: 0}}}})
+        driver.log('api', 'a')
+        await driver.send('api')
+        for (let i = 0; i < 2; i++) {
+            clock.advance(60000)
+            await vi.waitFor(() => expect(fetch).toHaveBeenCalledTimes(i + 2))
+        }
+        await vi.waitFor(() => expect(driver.getSnapshot().logs.api || []).toHaveLength(0))
+        const keys = fetch.mock.calls.map(([, request]) => request.headers['Idempotency-Key'])
+        expect(keys[0]).toEqual(expect.any(String))
+        expect(new Set(keys)).toEqual(new Set([keys[0]]))
+        driver.destroy()
+    })
+})
+
+
+describe('retries & dead letters', () => {
+    it('retries a failed batch after the backoff, with the same batch id', async () => {
+        const river = renderRiver()
+        river.transport.failNext()
+        await river.log('forms', 'a')
+        await river.flush('forms')
+        expect(river.getBatches('forms')).toHaveLength(0)
+        expect(codesOf(river.getPending('forms'))).toEqual(['a'])
+        await river.log('forms', 'b')
+        await river.advance(1000)
+        const [batch] = river.getBatches('forms')
+        expect(batch.attempt).toBe(2)
+        expect(codesOf(batch.events)).toEqual(['a'])
+        expect(codesOf(river.getPending('forms'))).toEqual(['b'])
+    })
+    //
+    it('moves a batch to the dead letters after retry.maxAttempts', async () => {
+        const river = renderRiver({retry: {maxAttempts: 2}})
+        river.transport.failNext(new Error('down'), 2)
+        await river.log('forms', 'a')
+        await river.flush('forms')
+        await river.advance(1000)
+        expect(river.getBatches('forms')).toHaveLength(0)
+        expect(codesOf(river.getDeadLetters('forms'))).toEqual(['a'])
+        expect(river.getPending('forms')).toHaveLength(0)
+    })
+})
+
+
+describe('partial acknowledgements', () => {
+    it('retries only the events the server asks for, & not the rejected ones', async () => {
+        const river = renderRiver()
+        for (const code of ['a', 'b', 'c']) await river.log('forms', code)
+        river.transport.respondNext({accepted: [0], rejected: [{index: 1, reason: 'invalid'}], retry: [2]})
+        const {forms} = await river.flush('forms')
+        expect(forms.status).toBe('partial')
+        expect(codesOf(river.getPending('forms'))).toEqual(['c'])
+        await river.advance(1000)
+        const [first, second] = river.getBatches('forms')
+        expect(codesOf(second.events)).toEqual(['c'])
+        expect(second.batchId).not.toBe(first.batchId)
+        expect(river.getPending('forms')).toHaveLength(0)
+    })
+    //
+    it('counts an event which was sent & is pending again once in getLogged()', async () => {
+        const river = renderRiver()
+        for (const code of ['a', 'b']) await river.log('forms', code)
+        river.transport.respondNext({retry: [1]})
+        await river.flush('forms')
+        expect(codesOf(river.getSent('forms'))).toEqual(['a', 'b'])
+        expect(codesOf(river.getPending('forms'))).toEqual(['b'])
+        expect(codesOf(river.getLogged('forms'))).toEqual(['a', 'b'])
+    })
+})
+
+
+describe('queue limits', () => {
+    it('drops the oldest events past maxEvents, & reports the overflow with the next batch', async () => {
+        const river = renderRiver({pendingSendMax: 100, river: {limits: {maxEvents: 3}}})
+        for (const code of ['a', 'b', 'c', 'd', 'e']) await river.log('forms', code)
+        expect(codesOf(river.getPending('forms'))).toEqual(['c', 'd', 'e'])
+        await river.flush('forms')
+        const [report, ...sent] = river.getSent('forms')
+        expect(report).toMatchObject({code: 'queue_overflow', data: {key: 'forms'}})
+        expect(codesOf(sent)).toEqual(['c', 'd', 'e'])
+    })
+    //
+    it('reports an overflow after a batch waiting to be retried, so the retry keeps its batch id', async () => {
+        const river = renderRiver({pendingSendMax: 100, river: {limits: {maxEvents: 3, overflow: 'drop-newest'}}})
+        river.transport.failNext()
+        await river.log('forms', 'a')
+        await river.log('forms', 'b')
+        const {forms: failed} = await river.flush('forms')
+        for (const code of ['c', 'd']) await river.log('forms', code)
+        await river.advance(1000)
+        await river.flush('forms')
+        const [retried, next] = river.getBatches('forms')
+        expect(retried).toMatchObject({batchId: failed.batchId, attempt: 2})
+        expect(codesOf(retried.events)).toEqual(['a', 'b'])
+        expect(codesOf(next.events)).toEqual(['queue_overflow', 'c'])
+        expect(next.events.map(({metadata}) => metadata.sequence)).toEqual([5, 3])
+    })
+    //
+    it('drops the newest events with the drop-newest strategy', async () => {
+        const river = renderRiver({pendingSendMax: 100, river: {limits: {keys: {forms: {maxEvents: 2, overflow: 'drop-newest'}}}}})
+        for (const code of ['a', 'b', 'c', 'd']) await river.log('forms', code)
+        river.expectLogged('forms', 'a')
+        river.expectNotLogged('forms', 'd')
+    })
+})
+
+
+describe('log context', () => {
+    it('stamps the context onto the events logged while it is in place', async () => {
+        let logContext = null
+        const Context = () => {
+            logContext = useLogContext()
+            return null
+        }
+        const context = {userId: 'u1', tenant: 'acme', appVersion: '2.0.0', buildSha: 'abc123', dimensions: {plan: 'pro'}}
+        const river = createTestLogRiver({pendingSendMax: 100, river: {context}})
+        render(<><Logger logKey="forms" /><Context /></>, {wrapper: river.Wrapper})
+        await river.log('forms', 'a')
+        await act(async () => logContext.merge({userId: 'u2', dimensions: {region: 'eu'}}))
+        await river.log('forms', 'b')
+        await act(async () => logContext.clear())
+        await river.log('forms', 'c')
+        const [a, b, c] = river.getPending('forms').map(({metadata}) => metadata)
+        expect(a).toMatchObject(context)
+        expect(b).toMatchObject({...context, userId: 'u2', dimensions: {plan: 'pro', region: 'eu'}})
+        expect(c.userId).toBe(null)
+        expect(c).not.toHaveProperty('tenant')
+        expect(c).not.toHaveProperty('dimensions')
+    })
+})
+
+
+describe('declarative logging', () => {
+    it('logs once per click with <LogOnClick>', async () => {
+        const river = createTestLogRiver({pendingSendMax: 100})
+        const onClick = vi.fn()
+        render(<LogOnClick logKey="forms" code="signup_click" data={{plan: 'pro'}}><button onClick={onClick}>Sign up</button></LogOnClick>, {wrapper: river.Wrapper})
+        fireEvent.click(screen.getByText('Sign up'))
+        expect(onClick).toHaveBeenCalledTimes(1)
+        expect(river.getLogged('forms')).toHaveLength(1)
+        river.expectLogged('forms', {code: 'signup_click', data: {plan: 'pro'}})
+    })
+    //
+    it('logs once with <LogOnView> after the element was visible for minVisibleMs', async () => {
+        const observers = []
+        vi.stubGlobal('IntersectionObserver', class {
+            constructor(callback) {
+                this.callback = callback
+                this.disconnect = vi.fn()
+                observers.push(this)
+            }
+            observe() {}
+        })
+        vi.useFakeTimers({toFake: ['setTimeout', 'clearTimeout']})
+        const river = createTestLogRiver({pendingSendMax: 100})
+        render(<LogOnView logKey="forms" code="pricing_seen" data={{plan: 'pro'}} minVisibleMs={1000}>Pricing</LogOnView>, {wrapper: river.Wrapper})
+        const [observer] = observers
+        const intersect = (isIntersecting, ms) => act(async () => {
+            observer.callback([{isIntersecting, intersectionRatio: isIntersecting? 1 : 0}])
+            vi.advanceTimersByTime(ms)
+        })
+        await intersect(true, 500)
+        await intersect(false, 1000)
+        expect(river.getLogged('forms')).toHaveLength(0)
+        await intersect(true, 1000)
+        await intersect(false, 0)
+        await intersect(true, 1000)
+        vi.useRealTimers()
+        expect(river.getLogged('forms')).toHaveLength(1)
+        river.expectLogged('forms', {code: 'pricing_seen', data: {plan: 'pro'}})
+        expect(observer.disconnect).toHaveBeenCalled()
+    })
+})
+
+
+describe('sampling', () => {
+    it('keeps only the first events of a code with firstN', async () => {
+        const river = renderRiver({pendingSendMax: 100, river: {sampling: [{key: 'forms', code: 'impression', firstN: 2}]}})
+        for (let i = 0; i < 5; i++) await river.log('forms', 'impression')
+        await river.log('forms', 'other')
+        expect(codesOf(river.getLogged('forms'))).toEqual(['impression', 'impression', 'other'])
+    })
+    //
+    it('rate limits a code with a token bucket', async () => {
+        const river = renderRiver({pendingSendMax: 100, river: {sampling: [{code: 'hover', rateLimit: {capacity: 3, refillPerSecond: 0}}]}})
+        for (let i = 0; i < 10; i++) await river.log('forms', 'hover')
+        expect(river.getLogged('forms')).toHaveLength(3)
+    })
+    //
+    it('refills the token bucket on the clock of the river', async () => {
+        const river = renderRiver({pendingSendMax: 100, river: {sampling: [{code: 'hover', rateLimit: {capacity: 1, refillPerSecond: 1}}]}})
+        await river.log('forms', 'hover')
+        await river.log('forms', 'hover')
+        expect(river.getLogged('forms')).toHaveLength(1)
+        await river.advance(1000)
+        await river.log('forms', 'hover')
+        expect(river.getLogged('forms')).toHaveLength(2)
+    })
+    //
+    it('matches codes with a RegExp', async () => {
+        const river = renderRiver({pendingSendMax: 100, river: {sampling: [{code: [/^scroll/g, 'hover'], firstN: 1}]}})
+        for (const code of ['scroll_down', 'scroll_up', 'hover', 'hover', 'click']) await river.log('forms', code)
+        expect(codesOf(river.getLogged('forms'))).toEqual(['scroll_down', 'scroll_up', 'hover', 'click'])
+    })
+})
+
+
+describe('levels', () => {
+    it('sets the level with log.warn() & log.error(), & leaves out the events below the minimum level of their key', async () => {
+        const river = renderRiver({pendingSendMax: 100, river: {minLevel: {'*': 'info', forms: 'warn'}}})
+        await act(async () => {
+            log('opened')
+            log.warn('slow_submit')
+            log.error({code: 'submit_failed', data: {status: 500}})
+        })
+        await river.log('api', 'request')
+        await river.log('api', {code: 'response_body', level: 'debug'})
+        const forms = river.getLogged('forms')
+        expect(forms.map(({code, level}) => [code, level])).toEqual([['slow_submit', 'warn'], ['submit_failed', 'error']])
+        /**The events left out didn't take a sequence number */
+        expect(forms.map(({metadata}) => metadata.sequence)).toEqual([1, 2])
+        expect(codesOf(river.getLogged('api'))).toEqual(['request'])
+    })
+    //
+    it('changes the minimum level of a key at runtime with setMinLevel()', async () => {
+        const river = renderDriver({pendingSendMax: 100})
+        act(() => driver.setMinLevel('forms', 'error'))
+        await act(async () => {
+            log.warn('dropped')
+            log.error('kept')
+        })
+        act(() => driver.setMinLevel('forms', null))
+        await act(async () => log('logged_again'))
+        expect(codesOf(river.getLogged('forms'))).toEqual(['kept', 'logged_again'])
+        expect(driver.minLevels).toEqual({})
+    })
+})
+
+
+describe('plugins', () => {
+    it('changes or drops events in beforeLog, & sees the batch in beforeSend', async () => {
+        const batches = []
+        const plugins = [
+            {name: 'enrich', beforeLog: event => event.code === 'noise'? null : {...event, data: {...event.data, enriched: true}}},
+            {name: 'audit', keys: ['forms'], beforeSend: (batch, key) => {
+                batches.push({key, codes: codesOf(batch)})
+            }}
+        ]
+        const river = renderRiver({pendingSendMax: 100, river: {plugins}})
+        for (const code of ['a', 'noise', 'b']) await river.log('forms', code)
+        await river.flush('forms')
+        expect(codesOf(river.getSent('forms'))).toEqual(['a', 'b'])
+        expect(river.getSent('forms').every(({data}) => data.enriched)).toBe(true)
+        expect(batches).toEqual([{key: 'forms', codes: ['a', 'b']}])
+    })
+    //
+    it('sends what beforeSend returns, & nothing when it drops the batch', async () => {
+        const plugins = [{name: 'trim', beforeSend: async batch => batch.length > 1? batch.slice(0, 1) : false}]
+        const river = renderRiver({pendingSendMax: 100, river: {plugins}})
+        for (const code of ['a', 'b']) await river.log('forms', code)
+        await river.flush('forms')
+        expect(codesOf(river.getSent('forms'))).toEqual(['a'])
+        await river.log('forms', 'c')
+        const {forms} = await river.flush('forms')
+        expect(forms.status).toBe('filtered')
+        expect(river.getBatches('forms')).toHaveLength(1)
+        expect(river.getPending('forms')).toHaveLength(0)
+    })
+})
+
+
+describe('schemas', () => {
+    const schemas = {keys: {checkout: {purchase: {required: {'data.amount': 'number', 'data.currency': {type: 'string', values: ['EUR', 'USD']}}}}}}
+    const purchases = [
+        {code: 'purchase', data: {amount: 10, currency: 'EUR'}},
+        {code: 'purchase', data: {amount: '10', currency: 'EUR'}},
+        {code: 'purchase', data: {amount: 10, currency: 'GBP'}},
+        {code: 'purchase', data: {currency: 'USD'}}
+    ]
+    const validationErrors = driver => driver.store.get(logRiverInternals.eventLogValidationErrorsAtomFamily('checkout'))
+    //
+    it('drops invalid events with onInvalid: \'drop\', & keeps what was wrong without the values', () => {
+        const driver = createLogDriver({schemas: {...schemas, onInvalid: 'drop'}})
+        purchases.forEach(event => driver.log('checkout', event))
+        expect(driver.getSnapshot().logs.checkout.map(({data}) => data)).toEqual([{amount: 10, currency: 'EUR'}])
+        expect(validationErrors(driver).map(({violations, action}) => [action, violations.map(({path, rule}) => `${path} ${rule}`)])).toEqual([
+            ['drop', ['data.amount type']],
+            ['drop', ['data.currency values']],
+            ['drop', ['data.amount required']]
+        ])
+        expect(JSON.stringify(validationErrors(driver))).not.toContain('GBP')
+        driver.destroy()
+    })
+    //
+    it('queues invalid events anyway with onInvalid: \'warn\'', () => {
+        const driver = createLogDriver({schemas: {...schemas, onInvalid: 'warn'}})
+        purchases.forEach(event => driver.log('checkout', event))
+        expect(driver.getSnapshot().logs.checkout).toHaveLength(4)
+        expect(validationErrors(driver)).toHaveLength(3)
+        driver.destroy()
+    })
+    //
+    it('routes invalid events to invalidKey with onInvalid: \'route\', tagging their violations', () => {
+        const driver = createLogDriver({schemas: {...schemas, onInvalid: 'route', strictCodes: true}})
+        driver.log('checkout', purchases[1])
+        driver.log('checkout', 'refund')
+        driver.log('checkout', purchases[0])
+        const {logs} = driver.getSnapshot()
+        expect(logs.checkout).toHaveLength(1)
+        expect(logs['invalid-events'].map(({code, metadata}) => [code, metadata.invalid.key, metadata.invalid.violations.map(({rule}) => rule)])).toEqual([
+            ['purchase', 'checkout', ['type']],
+            ['refund', 'checkout', ['unknown-code']]
+        ])
+        driver.destroy()
+    })
+})
+
+
+describe('redaction', () => {
+    it('redacts events before they are queued & sent', async () => {
+        const river = renderRiver({river: {redact: createRedactor({deny: ['data.password']})}})
+        await river.log('forms', {code: 'signup', info: 'mail me@example.com', data: {password: 'hunter2', plan: 'pro'}})
+        await river.flush('forms')
+        const [event] = river.getSent('forms')
+        expect(event.info).not.toContain('me@example.com')
+        expect(event.data.password).not.toBe('hunter2')
+        expect(event.data.plan).toBe('pro')
+    })
+    //
+    it('leaves the ids the library adds alone, & strips the query of the referrer', () => {
+        const redact = createRedactor()
+        const event = redact({
+            code: 'page_view',
+            metadata: {eventId: '4111111111111111', sessionId: '4111-1111-1111-1111', href: 'https://example.com/?email=me@example.com'},
+            data: {referrer: 'https://example.com/signup?token=secret', card: '4111 1111 1111 1111'}
+        })
+        expect(event.metadata).toMatchObject({eventId: '4111111111111111', sessionId: '4111-1111-1111-1111', href: 'https://example.com/'})
+        expect(event.data.referrer).toBe('https://example.com/signup')
+        expect(event.data.card).not.toContain('4111')
+    })
+})
+
+
+describe('sessions', () => {
+    it('sends session_start through the session key along with everything else', async () => {
+        const river = renderRiver({river: {session: {timeout: 60000}}})
+        await river.log('forms', 'signup')
+        const results = await river.flush()
+        expect(results.session.status).toBe('sent')
+        const [start] = river.getSent('session')
+        expect(start).toMatchObject({code: 'session_start', data: {reason: 'new'}})
+        expect(river.expectLogged('forms', 'signup').metadata.sessionId).toBe(start.data.sessionId)
+    })
+    //
+    it('carries the sequence numbers of a session on after a reload, & starts them over per page load without one', async () => {
+        const sequencesAfterReload = async options => {
+            renderRiver(options)
+            await act(async () => {
+                log('a')
+                log('b')
+            })
+            cleanup()
+            const river = renderRiver(options)
+            await act(async () => log('c'))
+            return river.getPending('forms').map(({metadata}) => metadata.sequence)
+        }
+        expect(await sequencesAfterReload({pendingSendMax: 100, river: {session: {timeout: 60000}}})).toEqual([3])
+        expect(await sequencesAfterReload({pendingSendMax: 100})).toEqual([1])
+    })
+})
+
+
+describe('page views', () => {
+    it('sends page_view through the navigation key along with everything else', async () => {
+        const river = renderRiver({river: {pageViews: true}})
+        await act(async () => {
+            await new Promise(resolve => setTimeout(resolve, 0))
+        })
+        await act(async () => {
+            window.history.pushState({}, '', '/pricing')
+            await new Promise(resolve => setTimeout(resolve, 0))
+        })
+        const results = await river.flush()
+        expect(results.navigation.status).toBe('sent')
+        expect(river.getSent('navigation').map(({code, data}) => [code, data.path])).toEqual([['page_view', '/'], ['page_view', '/pricing']])
+    })
+    //
+    it('logs the first page view under StrictMode, which runs the effects twice', async () => {
+        const river = createTestLogRiver({river: {pageViews: true}})
+        render(<Logger logKey="forms" />, {wrapper: river.Wrapper, reactStrictMode: true})
+        await act(async () => {
+            await new Promise(resolve => setTimeout(resolve, 0))
+        })
+        await river.flush('navigation')
+        expect(river.getSent('navigation').map(({code, data}) => [code, data.path])).toEqual([['page_view', '/']])
+    })
+})
+
+
+describe('error capture', () => {
+    it('sends boundary & window errors through the errors key along with everything else', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {})
+        const Boom = () => {
+            throw new Error('kaboom')
+        }
+        const river = createTestLogRiver({river: {captureErrors: true}})
+        render(<LogErrorBoundary fallback="Oops"><Boom /></LogErrorBoundary>, {wrapper: river.Wrapper})
+        await act(async () => {
+            window.dispatchEvent(new window.ErrorEvent('error', {error: new TypeError('bad'), message: 'bad'}))
+        })
+        const results = await river.flush()
+        expect(results.errors.status).toBe('sent')
+        expect(river.getSent('errors').map(({info}) => info)).toEqual([expect.stringContaining('kaboom'), expect.stringContaining('bad')])
+    })
+})
+
+
+describe('performance', () => {
+    it('flushes the metrics logged when the page is hidden through the performance key', async () => {
+        const observers = {}
+        vi.stubGlobal('PerformanceObserver', class {
+            static supportedEntryTypes = ['layout-shift', 'event']
+            constructor(callback) {
+                this.callback = callback
+            }
+            observe({type}) {
+                observers[type] = this
+            }
+            disconnect() {}
+            takeRecords() {
+                return []
+            }
+        })
+        const beacons = stubBeacon()
+        const river = createTestLogRiver({senders: false, river: {performance: {metrics: ['CLS', 'INP'], longTasks: false}, unloadFlush: {url: '/logs'}}})
+        render(<Logger logKey="forms" />, {wrapper: river.Wrapper})
+        await act(async () => {
+            observers['layout-shift'].callback({getEntries: () => [{value: 0.05, startTime: 100}]})
+            observers.event.callback({getEntries: () => [{interactionId: 1, duration: 120}]})
+        })
+        await hidePage()
+        const [body] = await beacons()
+        expect(body.logs.performance.map(({info}) => info)).toEqual(['CLS', 'INP'])
+    })
+})
+
+
+describe('unload flush', () => {
+    it('removes the events sendBeacon() takes, as they are after the plugins, & leaves the ones past the byte budget queued', async () => {
+        const beacons = stubBeacon()
+        const plugins = [{name: 'stamp', beforeSend: batch => batch.map(event => ({...event, data: {...event.data, stamped: true}}))}]
+        const river = renderRiver({pendingSendMax: 100, river: {plugins, unloadFlush: {url: '/logs', maxBytes: 1200, maxTotalBytes: 2000}}})
+        for (let i = 0; i < 10; i++) await river.log('forms', {code: `event_${i}`, data: {text: 'x'.repeat(100)}})
+        await hidePage()
+        const bodies = await beacons()
+        expect(bodies.length).toBeGreaterThan(1)
+        expect(new Set(bodies.map(({batchId}) => batchId)).size).toBe(bodies.length)
+        const flushed = bodies.flatMap(({logs}) => logs.forms)
+        expect(flushed.every(({data}) => data.stamped)).toBe(true)
+        expect(bodies.reduce((bytes, body) => bytes + JSON.stringify(body).length, 0)).toBeLessThanOrEqual(2000)
+        expect(flushed.length).toBeLessThan(10)
+        expect([...codesOf(flushed), ...codesOf(river.getPending('forms'))]).toEqual(Array.from({length: 10}, (_, i) => `event_${i}`))
+    })
+    //
+    it('keeps the events of a refused beacon until the keepalive request that takes over succeeds', async () => {
+        const beacons = stubBeacon(() => false)
+        const responses = []
+        const fetch = vi.fn(() => new Promise(resolve => responses.push(resolve)))
+        vi.stubGlobal('fetch', fetch)
+        const river = renderRiver({pendingSendMax: 100, river: {unloadFlush: {url: '/logs'}}})
+        for (const code of ['a', 'b']) await river.log('forms', code)
+        await hidePage()
+        expect(fetch).toHaveBeenCalledTimes(1)
+        const [, request] = fetch.mock.calls[0]
+        expect(request.keepalive).toBe(true)
+        expect(request.headers['Idempotency-Key']).toBe(JSON.parse(request.body).batchId)
+        expect(codesOf(river.getPending('forms'))).toEqual(['a', 'b'])
+        /**Another hide while the request is on its way doesn't send the same events again */
+        await hidePage()
+        expect(fetch).toHaveBeenCalledTimes(1)
+        await act(async () => responses[0]({ok: false, status: 500}))
+        expect(codesOf(river.getPending('forms'))).toEqual(['a', 'b'])
+        await hidePage()
+        expect(fetch).toHaveBeenCalledTimes(2)
+        await act(async () => responses[1]({ok: true, status: 200}))
+        expect(river.getPending('forms')).toHaveLength(0)
+        await beacons()
+    })
+})
+
+
+describe('persistence', () => {
+    const leasesKey = '@realdem/react-log-driver:persist-leases'
+    const otherTabKey = '@realdem/react-log-driver@other-tab:forms:normal'
+    /**Let the persisted events be read & rehydrated */
+    const settle = () => act(async () => {
+        for (let i = 0; i < 5; i++) await new Promise(resolve => setTimeout(resolve, 0))
+    })
+    //
+    it('persists under the tab\'s own keys, & picks them up again after a reload', async () => {
+        const river = renderRiver({pendingSendMax: 100, river: {persist: true}})
+        await settle()
+        await river.log('forms', 'a')
+        const tabId = sessionStorage.getItem('@realdem/react-log-driver:persist-tab')
+        expect(JSON.parse(localStorage.getItem(`@realdem/react-log-driver@${tabId}:forms:normal`)).map(({code}) => code)).toEqual(['a'])
+        cleanup()
+        const reloaded = renderRiver({pendingSendMax: 100, river: {persist: true}})
+        await settle()
+        expect(codesOf(reloaded.getPending('forms'))).toEqual(['a'])
+        expect(sessionStorage.getItem('@realdem/react-log-driver:persist-tab')).toBe(tabId)
+    })
+    //
+    it('leaves the events of a live tab alone', async () => {
+        localStorage.setItem(otherTabKey, JSON.stringify([{code: 'theirs'}]))
+        localStorage.setItem(leasesKey, JSON.stringify({'other-tab': Date.now() + 60000}))
+        const river = renderRiver({pendingSendMax: 100, river: {persist: true}})
+        await settle()
+        expect(river.getPending('forms')).toHaveLength(0)
+        expect(localStorage.getItem(otherTabKey)).not.toBeNull()
+    })
+    //
+    it('takes over the events of a tab once its lease expired', async () => {
+        vi.useFakeTimers({toFake: ['setInterval', 'clearInterval', 'Date']})
+        localStorage.setItem(otherTabKey, JSON.stringify([{code: 'theirs'}]))
+        localStorage.setItem(leasesKey, JSON.stringify({'other-tab': Date.now() + 10000}))
+        const river = renderRiver({pendingSendMax: 100, river: {persist: true}})
+        await settle()
+        await river.log('forms', 'mine')
+        expect(codesOf(river.getPending('forms'))).toEqual(['mine'])
+        vi.advanceTimersByTime(10000)
+        /**The claim on the other tab's events is checked again after a while */
+        await act(() => vi.waitFor(() => expect(codesOf(river.getPending('forms'))).toEqual(['mine', 'theirs'])))
+        vi.useRealTimers()
+        expect(localStorage.getItem(otherTabKey)).toBeNull()
+        expect(JSON.parse(localStorage.getItem(leasesKey))).not.toHaveProperty('other-tab')
+    })
+    //
+    it('leaves the events of a gone tab to another tab which claimed them at the same time', async () => {
+        const claimsKey = '@realdem/react-log-driver:persist-claims'
+        localStorage.setItem(otherTabKey, JSON.stringify([{code: 'theirs'}]))
+        localStorage.setItem(leasesKey, JSON.stringify({'other-tab': Date.now() - 1}))
+        /**Another tab claims them right after this one */
+        const setItem = Storage.prototype.setItem
+        vi.spyOn(Storage.prototype, 'setItem').mockImplementation(function (key, value) {
+            setItem.call(this, key, value)
+            if (key === claimsKey && JSON.parse(value)['other-tab'] !== 'third-tab') setItem.call(this, key, JSON.stringify({'other-tab': 'third-tab'}))
+        })
+        const river = renderRiver({pendingSendMax: 100, river: {persist: true}})
+        await act(() => new Promise(resolve => setTimeout(resolve, 100)))
+        expect(river.getPending('forms')).toHaveLength(0)
+        expect(localStorage.getItem(otherTabKey)).not.toBeNull()
+    })
+    //
+    it('takes over events persisted before tabs had their own keys', async () => {
+        localStorage.setItem('@realdem/react-log-driver:forms:normal', JSON.stringify([{code: 'old'}]))
+        const river = renderRiver({pendingSendMax: 100, river: {persist: true}})
+        await settle()
+        expect(codesOf(river.getPending('forms'))).toEqual(['old'])
+        expect(localStorage.getItem('@realdem/react-log-driver:forms:normal')).toBeNull()
+    })
+})
+
+
+describe('multi-tab', () => {
+    /**An in-memory BroadcastChannel, which delivers each message to the other channels of the same name */
+    beforeEach(() => {
+        const channels = new Set()
+        vi.stubGlobal('BroadcastChannel', class {
+            constructor(name) {
+                this.name = name
+                this.listeners = new Set()
+                channels.add(this)
+            }
+            postMessage(data) {
+                channels.forEach(channel => channel !== this && channel.name === this.name && queueMicrotask(() => channel.listeners.forEach(listener => listener({data}))))
+            }
+            addEventListener(type, listener) {
+                this.listeners.add(listener)
+            }
+            removeEventListener(type, listener) {
+                this.listeners.delete(listener)
+            }
+            close() {
+                channels.delete(this)
+            }
+        })
+    })
+    /**Two tabs: each its own river (store, clock & transport) */
+    const renderTabs = () => ['a', 'b'].map(() => {
+        let store = null
+        const Tab = () => {
+            store = useStore()
+            return null
+        }
+        const river = createTestLogRiver({pendingSendMax: 100, river: {multiTab: true}})
+        render(<><Logger logKey="forms" /><Tab /></>, {wrapper: river.Wrapper})
+        return {river, tabs: () => store.get(logRiverInternals.eventLogTabsAtom)}
+    })
+    /**Both tabs hear each other's claims, then their elections end */
+    const elect = async tabs => {
+        await act(async () => {})
+        for (const {river} of tabs) await river.advance(300)
+        await act(async () => {})
+    }
+    //
+    it('elects one leader, the lowest tab id', async () => {
+        const tabs = renderTabs()
+        await elect(tabs)
+        const [leader, follower] = [...tabs].sort((a, b) => a.tabs().tabId < b.tabs().tabId? -1 : 1)
+        expect(leader.tabs()).toMatchObject({role: 'leader', leaderId: leader.tabs().tabId})
+        expect(follower.tabs()).toMatchObject({role: 'follower', leaderId: leader.tabs().tabId})
+    })
+    //
+    it('forwards the batches of a follower to the leader, which sends them', async () => {
+        const tabs = renderTabs()
+        await elect(tabs)
+        const leader = tabs.find(({tabs}) => tabs().role === 'leader')
+        const follower = tabs.find(({tabs}) => tabs().role === 'follower')
+        await follower.river.log('forms', 'from_follower')
+        const {forms} = await follower.river.flush('forms')
+        expect(forms.status).toBe('forwarded')
+        expect(follower.river.getPending('forms')).toHaveLength(0)
+        expect(follower.river.getBatches()).toHaveLength(0)
+        expect(codesOf(leader.river.getPending('forms'))).toEqual(['from_follower'])
+        await leader.river.flush('forms')
+        expect(codesOf(leader.river.getSent('forms'))).toEqual(['from_follower'])
+    })
+})
+
+
+describe('<LogRiver> config', () => {
+    it('only writes the config when the content of the props changes', async () => {
+        let configWrites = 0
+        const CountConfigWrites = () => {
+            const store = useStore()
+            useEffect(() => store.sub(logRiverInternals.logRiverConfigAtom, () => {
+                configWrites += 1
+            }), [store])
+            return null
+        }
+        const App = ({maxEvents}) => <LogRiver redact={{deny: ['data.password']}} limits={{maxEvents}} session={{timeout: 60000}} sampling={[{code: /^scroll/, rate: 0.5}]}>
+            <CountConfigWrites />
+        </LogRiver>
+        const {rerender} = render(<App maxEvents={10} />)
+        for (let i = 0; i < 3; i++) rerender(<App maxEvents={10} />)
+        expect(configWrites).toBe(0)
+        rerender(<App maxEvents={20} />)
+        expect(configWrites).toBe(1)
+    })
+})
+
+
+describe('internal logger', () => {
+    it('logs a failed send once', async () => {
+        const output = {trace: vi.fn(), debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn()}
+        const river = renderRiver({river: {logger: {level: 'error', output}}})
+        river.transport.failNext(new Error('down'))
+        await river.log('forms', 'a')
+        await river.flush('forms')
+        expect(output.error).toHaveBeenCalledTimes(1)
+        expect(output.error.mock.calls[0][1]).toContain('Sending "forms" failed')
+    })
+})
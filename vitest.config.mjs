@@ -0,0 +1,16 @@
+import { defineConfig } from 'vitest/config'
+
+/**The library ships JSX in plain .js files, so they're transformed as JSX */
+export default defineConfig({
+    esbuild: {
+        loader: 'jsx',
+        include: /\.jsx?$/,
+        exclude: [],
+        jsx: 'automatic'
+    },
+    test: {
+        environment: 'jsdom',
+        include: ['**/*.test.js'],
+        exclude: ['node_modules/**']
+    }
+})